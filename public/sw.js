@@ -0,0 +1,60 @@
+// =====================
+// App shell service worker
+// =====================
+// Keeps the page HTML and the hashed build assets so a wall display that
+// reloads while the network is down still boots. Covers are not handled
+// here: they live in IndexedDB (src/lib/imageCache.js), keyed by album.
+const CACHE = "app-shell-v1";
+const SHELL = "/index.html";
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Routes are client-side: every navigation gets the same HTML.
+  // Network first so deploys show up; the cached copy when offline.
+  if (req.mode === "navigate") {
+    event.respondWith(
+      fetch(req)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((c) => c.put(SHELL, copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match(SHELL).then((hit) => hit || Response.error()))
+    );
+    return;
+  }
+
+  // Hashed build output never changes under the same name: cache first
+  if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(
+      caches.match(req).then(
+        (hit) =>
+          hit ||
+          fetch(req).then((res) => {
+            if (res.ok) {
+              const copy = res.clone();
+              caches.open(CACHE).then((c) => c.put(req, copy));
+            }
+            return res;
+          })
+      )
+    );
+  }
+});
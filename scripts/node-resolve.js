@@ -0,0 +1,19 @@
+// =====================
+// Module resolution for `npm test`
+// =====================
+// The app imports its modules without extensions ("./format"), which Vite
+// resolves at build time; this hook does the same for Node's test runner.
+// Loaded with `node --import ./scripts/node-resolve.js --test`.
+import { register } from "node:module";
+import { isMainThread } from "node:worker_threads";
+
+if (isMainThread) register(import.meta.url);
+
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (err) {
+    if (err.code !== "ERR_MODULE_NOT_FOUND" || !/^\.{1,2}\//.test(specifier)) throw err;
+    return next(`${specifier}.js`, context);
+  }
+}
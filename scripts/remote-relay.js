@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// =====================
+// Remote-control relay (optional, no dependencies)
+// =====================
+// A tiny WebSocket hub: every text message from one client is forwarded to
+// all the others, so /remote on a phone (or any script) can reach a display
+// on another machine. It doesn't look inside messages; displays validate
+// them (src/lib/remote.js).
+//
+//   node scripts/remote-relay.js                      # ws://127.0.0.1:8787
+//   HOST=0.0.0.0 RELAY_KEY=secret RELAY_ORIGINS=http://192.168.1.5:5173 node scripts/remote-relay.js
+//
+// It listens on loopback unless HOST is set, and refuses to listen anywhere
+// else without RELAY_KEY. With a key, clients must connect to
+// ws://host:port/?key=secret. Browsers always send Origin, so pages are
+// accepted only from localhost or the origins in RELAY_ORIGINS (comma
+// separated); clients without an Origin (scripts) need only the key.
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "127.0.0.1";
+const KEY = process.env.RELAY_KEY || "";
+const ORIGINS = new Set(
+  (process.env.RELAY_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean)
+);
+const MAX_MESSAGE = 64 * 1024; // commands are small; anything bigger is dropped with its client
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const clients = new Set(); // { socket, buf }
+
+const LOOPBACK = new Set(["localhost", "127.0.0.1", "::1", "[::1]"]);
+const isLoopback = (host) => LOOPBACK.has(host) || host.startsWith("127.");
+
+if (!KEY && !isLoopback(HOST)) {
+  console.error(`Refusing to listen on ${HOST} without RELAY_KEY: anyone on the network could control the displays.`);
+  process.exit(1);
+}
+
+// No Origin means a non-browser client; browsers must come from an allowed page
+function originAllowed(origin) {
+  if (!origin) return true;
+  if (ORIGINS.has(origin)) return true;
+  try {
+    return isLoopback(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Server frames are unmasked; payloads stay under 64 KiB
+function encodeFrame(payload, opcode = 0x1) {
+  const data = Buffer.from(payload);
+  const head =
+    data.length < 126
+      ? Buffer.from([0x80 | opcode, data.length])
+      : Buffer.from([0x80 | opcode, 126, data.length >> 8, data.length & 255]);
+  return Buffer.concat([head, data]);
+}
+
+function drop(client) {
+  clients.delete(client);
+  client.socket.destroy();
+}
+
+function broadcast(from, text) {
+  const frame = encodeFrame(text);
+  for (const c of clients) if (c !== from) c.socket.write(frame);
+}
+
+// Client frames are always masked; fragmented messages aren't supported
+function onData(client, chunk) {
+  client.buf = Buffer.concat([client.buf, chunk]);
+  for (;;) {
+    const b = client.buf;
+    if (b.length < 2) return;
+    const fin = b[0] & 0x80;
+    const opcode = b[0] & 0x0f;
+    let len = b[1] & 0x7f;
+    let offset = 2;
+    if (len === 126) {
+      if (b.length < 4) return;
+      len = b.readUInt16BE(2);
+      offset = 4;
+    }
+    if (!(b[1] & 0x80) || len === 127 || len > MAX_MESSAGE) return drop(client);
+    if (b.length < offset + 4 + len) return;
+
+    const mask = b.subarray(offset, offset + 4);
+    const data = Buffer.from(b.subarray(offset + 4, offset + 4 + len));
+    for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+    client.buf = b.subarray(offset + 4 + len);
+
+    if (opcode === 0x8) return drop(client); // close
+    if (opcode === 0x9) client.socket.write(encodeFrame(data, 0xa)); // ping -> pong
+    else if (opcode === 0x1 && fin) broadcast(client, data.toString("utf8"));
+  }
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { "content-type": "text/plain" });
+  res.end(`album art remote relay, ${clients.size} connected\n`);
+});
+
+server.on("upgrade", (req, socket, head) => {
+  socket.on("error", () => socket.destroy());
+  const url = new URL(req.url, "http://relay");
+  if (!originAllowed(req.headers.origin)) {
+    socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    return;
+  }
+  if (KEY && url.searchParams.get("key") !== KEY) {
+    socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    return;
+  }
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n")
+  );
+  const client = { socket, buf: Buffer.alloc(0) };
+  clients.add(client);
+  socket.on("data", (chunk) => onData(client, chunk));
+  socket.on("close", () => clients.delete(client));
+  socket.on("error", () => clients.delete(client));
+  if (head?.length) onData(client, head); // frames that arrived with the handshake
+});
+
+server.listen(PORT, HOST, () => {
+  const host = HOST.includes(":") ? `[${HOST}]` : HOST;
+  console.log(`Remote relay on ws://${host}:${PORT}/${KEY ? "?key=…" : ""}`);
+});
@@ -1,5 +1,8 @@
 import { Routes, Route, Link } from "react-router-dom";
-import SpotifyPage from "./SpotifyPage";
+import HistoryPage from "./HistoryPage";
+import RemotePage from "./RemotePage";
+import ProviderShell from "./components/ProviderShell";
+import { PROVIDERS } from "./providers";
 
 
 
@@ -15,19 +18,38 @@ export default function App() {
               <p className="text-neutral-400">
                 Choose a service to continue.
               </p>
-              <div className="mt-6">
+              <div className="mt-6 flex flex-wrap gap-3">
+                {PROVIDERS.map((p) => (
+                  <Link
+                    key={p.id}
+                    to={`/${p.id}`}
+                    className={`inline-block px-4 py-2 rounded-xl ${p.theme.button || "bg-neutral-800 hover:bg-neutral-700"}`}
+                  >
+                    {p.homeLabel || p.name}
+                  </Link>
+                ))}
                 <Link
-                  to="/spotify"
-                  className="inline-block px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-500"
+                  to="/history"
+                  className="inline-block px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700"
                 >
-                  Open Spotify Visualizer
+                  Listening History
+                </Link>
+                <Link
+                  to="/remote"
+                  className="inline-block px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700"
+                >
+                  Remote Control
                 </Link>
               </div>
             </div>
           </div>
         }
       />
-      <Route path="/spotify" element={<SpotifyPage />} />
+      {PROVIDERS.map((p) => (
+        <Route key={p.id} path={`/${p.id}`} element={<ProviderShell key={p.id} provider={p} />} />
+      ))}
+      <Route path="/history" element={<HistoryPage />} />
+      <Route path="/remote" element={<RemotePage />} />
       <Route
         path="*"
         element={
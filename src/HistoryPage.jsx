@@ -0,0 +1,224 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import RecentGrid from "./components/recentGrid";
+import SettingsDrawer from "./components/SettingsDrawer";
+import { useGridSettings } from "./lib/useGridSettings";
+import { layoutTileCount, resolveLayout } from "./components/layouts";
+import {
+  albumTiles,
+  exportCsv,
+  exportJson,
+  historyBounds,
+  importHistory,
+  playsBefore,
+  playsBetween,
+} from "./lib/history";
+import { saveBlob } from "./lib/saveBlob";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_PAGE = 14;
+
+const startOfDay = (ms) => {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+const formatMoment = (ms) =>
+  new Date(ms).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+const formatDay = (ms) =>
+  new Date(ms).toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+
+const download = (name, text, type) => saveBlob(name, new Blob([text], { type }));
+
+// =====================
+// Page component mounted at /history
+// =====================
+export default function HistoryPage() {
+  const [searchParams] = useSearchParams();
+  const { settings, setSettings, grid } = useGridSettings(searchParams);
+  const [bounds, setBounds] = useState(undefined); // undefined: loading, null: empty log
+  const [at, setAt] = useState(() => Number(searchParams.get("at")) || null); // null: now
+  const [tiles, setTiles] = useState([]);
+  const [days, setDays] = useState([]); // [{ day, count, albums, tiles }]
+  const [dayCount, setDayCount] = useState(DAYS_PER_PAGE);
+  const [note, setNote] = useState("");
+  const [version, setVersion] = useState(0); // bumped after an import
+  const fileRef = useRef(null);
+
+  const take = layoutTileCount(resolveLayout(grid.layout ?? "mosaic-2x3"));
+
+  useEffect(() => {
+    historyBounds().then(setBounds).catch(() => setBounds(null));
+  }, [version]);
+
+  // The grid as it was at `at` (debounced while scrubbing)
+  useEffect(() => {
+    if (!bounds) return;
+    let stop = false;
+    const handle = setTimeout(async () => {
+      try {
+        const plays = await playsBefore(at ?? Date.now());
+        if (!stop) setTiles(albumTiles(plays, take));
+      } catch (err) {
+        if (!stop) setNote(`Couldn't read the history: ${err.message}`);
+      }
+    }, 150);
+    return () => {
+      stop = true;
+      clearTimeout(handle);
+    };
+  }, [at, bounds, take, version]);
+
+  // Per-day mosaics, newest day first
+  useEffect(() => {
+    if (!bounds) return;
+    let stop = false;
+    const to = startOfDay(bounds.last) + DAY_MS;
+    const from = Math.max(startOfDay(bounds.first), to - dayCount * DAY_MS);
+    playsBetween(from, to)
+      .then((plays) => {
+        if (stop) return;
+        const byDay = new Map();
+        for (let i = plays.length - 1; i >= 0; i--) {
+          const day = startOfDay(plays[i].playedAt);
+          if (!byDay.has(day)) byDay.set(day, []);
+          byDay.get(day).push(plays[i]);
+        }
+        setDays(
+          [...byDay].map(([day, list]) => {
+            const albums = albumTiles(list);
+            return { day, count: list.length, albums: albums.length, tiles: albums.slice(0, 9) };
+          })
+        );
+      })
+      .catch((err) => {
+        if (!stop) setNote(`Couldn't read the history: ${err.message}`);
+      });
+    return () => { stop = true; };
+  }, [bounds, dayCount, version]);
+
+  async function doExport(kind) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    try {
+      if (kind === "csv") download(`listening-history-${stamp}.csv`, await exportCsv(), "text/csv");
+      else download(`listening-history-${stamp}.json`, await exportJson(), "application/json");
+    } catch (err) {
+      setNote(`Export failed: ${err.message}`);
+    }
+  }
+
+  async function doImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const n = await importHistory(await file.text());
+      setNote(`Imported ${n} plays from ${file.name}`);
+      setVersion((v) => v + 1);
+    } catch (err) {
+      setNote(`Import failed: ${err.message}`);
+    }
+  }
+
+  const hasMoreDays = bounds && startOfDay(bounds.last) + DAY_MS - dayCount * DAY_MS > bounds.first;
+  const scrubMax = useMemo(() => Math.max(Date.now(), bounds?.last ?? 0), [bounds]);
+
+  return (
+    <div className="h-svh overflow-y-auto bg-neutral-950 text-neutral-100">
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <div className="text-lg font-semibold">Listening history</div>
+            <div className="text-xs text-neutral-400">
+              {bounds
+                ? `${bounds.count} plays since ${formatDay(bounds.first)}, stored in this browser`
+                : "Plays seen on the service pages are logged here, in this browser only"}
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <button onClick={() => doExport("json")} disabled={!bounds} className="px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50">
+              Export JSON
+            </button>
+            <button onClick={() => doExport("csv")} disabled={!bounds} className="px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50">
+              Export CSV
+            </button>
+            <button onClick={() => fileRef.current?.click()} className="px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+              Import
+            </button>
+            <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" onChange={doImport} className="hidden" />
+          </div>
+        </header>
+        {note && <div className="mt-2 text-xs text-neutral-400">{note}</div>}
+
+        {bounds === null && (
+          <div className="mt-10 text-neutral-400">
+            Nothing logged yet. Open <Link to="/spotify" className="underline">Spotify</Link>,{" "}
+            <Link to="/plex" className="underline">Plex</Link> or <Link to="/lastfm" className="underline">Last.fm</Link>{" "}
+            and plays will show up here, or import an exported log.
+          </div>
+        )}
+
+        {bounds && (
+          <>
+            <section className="relative mt-6 h-[55svh] rounded-2xl overflow-hidden bg-black">
+              <RecentGrid source={tiles} {...grid} full />
+              <SettingsDrawer settings={settings} onChange={setSettings} />
+            </section>
+
+            <section className="mt-4">
+              <div className="flex items-center justify-between gap-3 text-sm">
+                <span>{at == null ? "Now" : formatMoment(at)}</span>
+                <button
+                  onClick={() => setAt(null)}
+                  disabled={at == null}
+                  className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50"
+                >
+                  Now
+                </button>
+              </div>
+              <input
+                type="range"
+                min={bounds.first}
+                max={scrubMax}
+                step={60_000}
+                value={at ?? scrubMax}
+                onChange={(e) => setAt(Number(e.target.value))}
+                className="mt-2 w-full"
+                aria-label="Moment in history"
+              />
+            </section>
+
+            <section className="mt-8 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+              {days.map(({ day, count, albums, tiles: covers }) => (
+                <button
+                  key={day}
+                  onClick={() => setAt(day + DAY_MS - 1)}
+                  className="text-left rounded-2xl bg-neutral-900 p-3 hover:bg-neutral-800"
+                >
+                  <div className="grid grid-cols-3 gap-1">
+                    {covers.map((t) => (
+                      <img key={t.id} src={t.src} alt={t.album} loading="lazy" className="aspect-square w-full rounded object-cover" />
+                    ))}
+                  </div>
+                  <div className="mt-2 text-sm">{formatDay(day)}</div>
+                  <div className="text-xs text-neutral-400">
+                    {count} plays · {albums} albums
+                  </div>
+                </button>
+              ))}
+            </section>
+            {hasMoreDays && (
+              <button
+                onClick={() => setDayCount((n) => n + DAYS_PER_PAGE)}
+                className="mt-4 px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 text-sm"
+              >
+                Older days
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { LAYOUTS } from "./components/layouts";
+import { createRemoteLink, command, relayUrl, saveRelayUrl } from "./lib/remote";
+import { useNow } from "./lib/useNow";
+
+const STALE_MS = 30_000; // displays announce every 10s
+const HELLO_RETRY_MS = 1500; // the relay may open after the first hello
+
+const button = "px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50";
+
+function Slot({ index, tile, pinned, choices, onPin }) {
+  const cover = tile ? tile.remoteSrc || tile.src : null;
+  return (
+    <div className="rounded-2xl bg-neutral-900 p-2 text-sm">
+      <div className="aspect-square w-full overflow-hidden rounded-lg bg-black">
+        {cover && <img src={cover} alt={tile.album || ""} className="h-full w-full object-cover" />}
+      </div>
+      <div className="mt-2 flex items-center justify-between gap-2">
+        <span className="truncate text-xs text-neutral-400">
+          {index + 1}. {tile?.album || "empty"}
+        </span>
+        {pinned && (
+          <button onClick={() => onPin(index, null)} className="text-xs underline">
+            Unpin
+          </button>
+        )}
+      </div>
+      <select
+        value=""
+        onChange={(e) => onPin(index, choices.find((c) => c.id === e.target.value))}
+        className="mt-1 w-full rounded-lg bg-neutral-800 px-2 py-1 text-xs"
+        aria-label={`Pin an album to tile ${index + 1}`}
+      >
+        <option value="">{pinned ? "Pinned. Pin another…" : "Pin an album…"}</option>
+        {choices.map((c) => (
+          <option key={c.id} value={c.id}>{c.album || c.id}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// =====================
+// Page component mounted at /remote
+// =====================
+export default function RemotePage() {
+  const [searchParams] = useSearchParams();
+  const [relay, setRelay] = useState(() => relayUrl(searchParams));
+  const [relayInput, setRelayInput] = useState(relay);
+  const [relayState, setRelayState] = useState("off");
+  const [displays, setDisplays] = useState({}); // id -> last status + seenAt
+  const [target, setTarget] = useState("");     // "" = every display
+  const [note, setNote] = useState("");
+  const linkRef = useRef(null);
+  const now = useNow(5000);
+
+  useEffect(() => {
+    const link = createRemoteLink({ relay });
+    linkRef.current = link;
+    const unsubscribe = link.subscribe((msg) => {
+      if (msg.type !== "status") return;
+      setDisplays((prev) => ({ ...prev, [msg.from]: { ...msg, seenAt: Date.now() } }));
+    });
+    const hello = () => link.send(command("hello"));
+    hello();
+    const retry = setTimeout(hello, HELLO_RETRY_MS);
+    const poll = setInterval(() => setRelayState(link.relayState()), 1000);
+    return () => {
+      clearTimeout(retry);
+      clearInterval(poll);
+      unsubscribe();
+      link.close();
+      linkRef.current = null;
+    };
+  }, [relay]);
+
+  const live = Object.values(displays).filter((d) => now - d.seenAt < STALE_MS);
+  const current = (target && displays[target]) || live[0] || null;
+
+  function send(type, fields = {}) {
+    try {
+      linkRef.current?.send(command(type, { ...fields, ...(target ? { to: target } : {}) }));
+      setNote("");
+    } catch (err) {
+      setNote(err.message);
+    }
+  }
+
+  function connectRelay(e) {
+    e.preventDefault();
+    const url = relayInput.trim();
+    if (url && !/^wss?:\/\//.test(url)) {
+      setNote("The relay address starts with ws:// or wss://");
+      return;
+    }
+    saveRelayUrl(url);
+    setRelay(url);
+  }
+
+  const slots = current?.slots ?? [];
+  const choices = slots.filter(Boolean);
+
+  return (
+    <div className="min-h-svh bg-neutral-950 text-neutral-100">
+      <div className="max-w-3xl mx-auto px-4 py-6">
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <div className="text-lg font-semibold">Remote</div>
+            <div className="text-xs text-neutral-400">
+              {live.length
+                ? `${live.length} display${live.length > 1 ? "s" : ""} found`
+                : "Looking for displays: open a visualizer in another tab or window, or connect a relay"}
+            </div>
+          </div>
+          <Link to="/" className="text-sm underline">Home</Link>
+        </header>
+
+        <section className="mt-6 flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="rounded-xl bg-neutral-800 px-3 py-1.5"
+            aria-label="Display"
+          >
+            <option value="">All displays</option>
+            {live.map((d) => (
+              <option key={d.from} value={d.from}>
+                {d.name} · {d.path} · {d.from}
+              </option>
+            ))}
+          </select>
+          <select
+            value={current?.layout ?? ""}
+            onChange={(e) => send("layout", { layout: e.target.value })}
+            className="rounded-xl bg-neutral-800 px-3 py-1.5"
+            aria-label="Layout"
+          >
+            {!current && <option value="">Layout…</option>}
+            {Object.values(LAYOUTS).map((l) => (
+              <option key={l.id} value={l.id}>{l.name}</option>
+            ))}
+          </select>
+          <button onClick={() => send(current?.paused ? "resume" : "pause")} className={button}>
+            {current?.paused ? "Resume" : "Pause"}
+          </button>
+          <button onClick={() => send("refresh")} className={button}>
+            Refresh
+          </button>
+          <button onClick={() => send("blank", { on: !current?.blanked })} className={button}>
+            {current?.blanked ? "Wake screen" : "Blank screen"}
+          </button>
+        </section>
+
+        {current?.presets?.length > 0 && (
+          <section className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-xs uppercase tracking-wide text-neutral-400">Presets</span>
+            {current.presets.map((name) => (
+              <button key={name} onClick={() => send("preset", { name })} className={button}>
+                {name}
+              </button>
+            ))}
+          </section>
+        )}
+
+        {slots.length > 0 && (
+          <section className="mt-6 grid grid-cols-2 sm:grid-cols-3 gap-3">
+            {slots.map((tile, i) => (
+              <Slot
+                key={i}
+                index={i}
+                tile={tile}
+                pinned={current.pins?.includes(i)}
+                choices={choices}
+                onPin={(slot, t) => send("pin", { slot, tile: t ?? null })}
+              />
+            ))}
+          </section>
+        )}
+
+        <form onSubmit={connectRelay} className="mt-8 flex flex-wrap items-center gap-2 text-sm">
+          <input
+            value={relayInput}
+            onChange={(e) => setRelayInput(e.target.value)}
+            placeholder="ws://display-host:8787 (optional relay)"
+            className="min-w-0 flex-1 rounded-xl bg-neutral-800 px-3 py-1.5"
+          />
+          <button type="submit" className={button}>
+            {relayInput.trim() ? "Connect" : "No relay"}
+          </button>
+          <span className="text-xs text-neutral-400">relay: {relay ? relayState : "off"}</span>
+        </form>
+        {note && <div className="mt-2 text-xs text-rose-300">{note}</div>}
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,103 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
+import { subscribeFrame, frameTime } from "../lib/frameClock";
+import { audioDrive } from "../lib/audioInput";
+import { parallaxBias } from "../lib/parallax";
+import {
+  DEFAULT_KNOBS,
+  STATIC_POSE,
+  tunnelPose,
+  layerPlacement,
+  layerOpacity,
+  layerShadowBlur,
+  prefersReducedMotion,
+  tunnelOffsets,
+  NO_BIAS,
+} from "../lib/tunnel";
+
+// CSS transform of back layer i / the front square for a pose
+function layerTransform(i, p, shape, offX, offY) {
+  const { rot, scale } = layerPlacement(i, p, shape);
+  return `
+    translate(calc(-50% + ${offX} * 1px), calc(-50% + ${offY} * 1px))
+    rotate(${rot}rad)
+    scale(${scale})
+  `;
+}
+
+const frontTransform = (p, FRONT_FACTOR, offX, offY) => `
+  translate(
+    calc(-50% + ${offX} * 1px),
+    calc(-50% + ${offY} * 1px)
+  )
+  rotate(${p.spin}rad)
+  scale(${FRONT_FACTOR * p.breath})
+`;
 
 export default function AlbumTunnelCSS({
   imageUrl,
-  LAYERS = 26,
-  ROT_STEP = Math.PI / 200,
-  GROWTH = 1.1,
-  FRONT_FACTOR = 0.55,
+  LAYERS = DEFAULT_KNOBS.LAYERS,
+  ROT_STEP = DEFAULT_KNOBS.ROT_STEP,
+  GROWTH = DEFAULT_KNOBS.GROWTH,
+  FRONT_FACTOR = DEFAULT_KNOBS.FRONT_FACTOR,
+  SPIN_SPEED = DEFAULT_KNOBS.SPIN_SPEED,
+  ZOOM_SPEED = DEFAULT_KNOBS.ZOOM_SPEED,
+  BREATHE = DEFAULT_KNOBS.BREATHE,
+  BREATHE_RATE = DEFAULT_KNOBS.BREATHE_RATE,
+  speed = 1,              // per-tile multiplier on spin/zoom
+  phase = 0,              // per-tile offset (radians) for the breathing pulse
+  animate = true,
   biasX = 0,
   biasY = 0,
+  parallax = false,       // also follow the page's live pointer / tilt bias (lib/parallax)
   background = "#000",
+  shadowColor = "rgba(0,0,0,0.7)",
   centerFront = true,
   direction = 1
 }) {
   const layers = Array.from({ length: LAYERS }, (_, i) => i);
+  const layerRefs = useRef([]);
+  const frontRef = useRef(null);
+
+  const shape = { ROT_STEP, GROWTH, FRONT_FACTOR, direction };
+
+  const moving = !!(animate && imageUrl && (SPIN_SPEED || ZOOM_SPEED || BREATHE)) && !prefersReducedMotion();
+  const following = parallax && !!imageUrl;
+  const initial = moving
+    ? tunnelPose(frameTime(), { ZOOM_SPEED, SPIN_SPEED, BREATHE, BREATHE_RATE, speed, phase, direction }, audioDrive())
+    : STATIC_POSE;
+  const { offX, offY, frontOffX, frontOffY } = tunnelOffsets(
+    { biasX, biasY, centerFront },
+    following ? parallaxBias() : NO_BIAS
+  );
+
+  // Drive transforms straight on the DOM from the shared clock (no re-renders);
+  // subscribes again only when a knob the frame callback reads changes.
+  useEffect(() => {
+    if (!moving && !following) return;
+    const motion = { ZOOM_SPEED, SPIN_SPEED, BREATHE, BREATHE_RATE, speed, phase, direction };
+    const geometry = { ROT_STEP, GROWTH, FRONT_FACTOR, direction };
+    const outer = layerRefs.current[LAYERS - 1];
+    let lastBias = null;
+    const unsubscribe = subscribeFrame((t) => {
+      const bias = following ? parallaxBias() : NO_BIAS;
+      if (!moving && bias === lastBias) return; // a still tunnel only moves with the bias
+      lastBias = bias;
+      const p = moving ? tunnelPose(t, motion, audioDrive()) : STATIC_POSE;
+      const off = tunnelOffsets({ biasX, biasY, centerFront }, bias);
+      for (let i = 1; i < LAYERS; i++) {
+        const el = layerRefs.current[i];
+        if (!el) continue;
+        el.style.transform = layerTransform(i, p, geometry, off.offX, off.offY);
+      }
+      // the fade only applies while zooming; otherwise the layer is opaque
+      if (outer) outer.style.opacity = String(layerOpacity(LAYERS - 1, p, LAYERS));
+      if (frontRef.current) frontRef.current.style.transform = frontTransform(p, FRONT_FACTOR, off.frontOffX, off.frontOffY);
+    });
+    return () => {
+      unsubscribe();
+      if (outer) outer.style.opacity = "1";
+    };
+  }, [moving, following, LAYERS, ROT_STEP, GROWTH, FRONT_FACTOR, SPIN_SPEED, ZOOM_SPEED, BREATHE, BREATHE_RATE, speed, phase, direction, biasX, biasY, centerFront]);
 
   return (
     <div
@@ -31,18 +116,14 @@ export default function AlbumTunnelCSS({
         .slice(1)
         .reverse()
         .map((i) => {
-          const rot = i * ROT_STEP * direction;
-          const scale = Math.pow(GROWTH, i);
-          const offX = biasX * 0.02;
-          const offY = biasY * 0.02;
-
           // shadow grows with depth
           const shadowY = 20;
-          const shadowBlur = 20 + i * 0.6;
+          const shadowBlur = layerShadowBlur(i);
 
           return (
             <div
               key={i}
+              ref={(el) => { layerRefs.current[i] = el; }}
               className="tunnel-layer"
               style={{
                 position: "absolute",
@@ -50,11 +131,8 @@ export default function AlbumTunnelCSS({
                 top: "50%",
                 width: "min(100vmin, 140vh)",
                 aspectRatio: "1 / 1",
-                transform: `
-                  translate(calc(-50% + ${offX} * 1px), calc(-50% + ${offY} * 1px))
-                  rotate(${rot}rad)
-                  scale(${FRONT_FACTOR * scale})
-                `,
+                transform: layerTransform(i, initial, shape, offX, offY),
+                opacity: layerOpacity(i, initial, LAYERS),
                 transformOrigin: "50% 50%",
                 backgroundImage: `url(${imageUrl})`,
                 backgroundSize: "cover",
@@ -64,7 +142,7 @@ export default function AlbumTunnelCSS({
                 pointerEvents: "none",
 
                 // 👇 drop shadow per layer
-                filter: `drop-shadow(${shadowY}px ${shadowY}px ${shadowBlur}px rgba(0,0,0,0.7))`,
+                filter: `drop-shadow(${shadowY}px ${shadowY}px ${shadowBlur}px ${shadowColor})`,
               }}
             />
           );
@@ -72,6 +150,7 @@ export default function AlbumTunnelCSS({
 
       {/* Front-most square */}
       <div
+        ref={frontRef}
         className="tunnel-front"
         style={{
           position: "absolute",
@@ -79,13 +158,7 @@ export default function AlbumTunnelCSS({
           top: "50%",
           width: "min(100vmin, 140vh)",
           aspectRatio: "1 / 1",
-          transform: `
-            translate(
-              calc(-50% + ${(centerFront ? 0 : biasX * 0.02)} * 1px),
-              calc(-50% + ${(centerFront ? 0 : biasY * 0.02)} * 1px)
-            )
-            scale(${FRONT_FACTOR})
-          `,
+          transform: frontTransform(initial, FRONT_FACTOR, frontOffX, frontOffY),
           transformOrigin: "50% 50%",
           backgroundImage: `url(${imageUrl})`,
           backgroundSize: "cover",
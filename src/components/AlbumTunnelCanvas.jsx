@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from "react";
+import { DEFAULT_KNOBS, prefersReducedMotion } from "../lib/tunnel";
+import { createTunnelRenderer, loadTunnelImage } from "../lib/tunnelRenderer";
+
+// Same square base the CSS version uses: min(100vmin, 140vh)
+const viewportBase = () =>
+  Math.min(window.innerWidth, window.innerHeight, window.innerHeight * 1.4);
+
+/**
+ * Canvas2D twin of AlbumTunnelCSS: same knobs, but one decoded bitmap and a
+ * single <canvas> per tile instead of a stack of filtered divs.
+ * `offscreen` moves drawing into a shared OffscreenCanvas worker when the
+ * browser supports it.
+ */
+export default function AlbumTunnelCanvas({
+  imageUrl,
+  LAYERS = DEFAULT_KNOBS.LAYERS,
+  ROT_STEP = DEFAULT_KNOBS.ROT_STEP,
+  GROWTH = DEFAULT_KNOBS.GROWTH,
+  FRONT_FACTOR = DEFAULT_KNOBS.FRONT_FACTOR,
+  SPIN_SPEED = DEFAULT_KNOBS.SPIN_SPEED,
+  ZOOM_SPEED = DEFAULT_KNOBS.ZOOM_SPEED,
+  BREATHE = DEFAULT_KNOBS.BREATHE,
+  BREATHE_RATE = DEFAULT_KNOBS.BREATHE_RATE,
+  speed = 1,
+  phase = 0,
+  animate = true,
+  biasX = 0,
+  biasY = 0,
+  parallax = false,
+  background = "#000",
+  shadowColor = "rgba(0,0,0,0.7)",
+  centerFront = true,
+  direction = 1,
+  shadows = true,
+  offscreen = false,
+}) {
+  const wrapRef = useRef(null);
+  const rendererRef = useRef(null);
+  const [size, setSize] = useState(null); // { width, height, dpr, base } in device px
+
+  // The canvas is created here rather than in JSX: an OffscreenCanvas
+  // transfer can only happen once per element (StrictMode remounts).
+  useEffect(() => {
+    const wrap = wrapRef.current;
+    const canvas = document.createElement("canvas");
+    canvas.style.cssText = "position:absolute;inset:0;width:100%;height:100%;pointer-events:none";
+    wrap.appendChild(canvas);
+    rendererRef.current = createTunnelRenderer(canvas, { offscreen });
+
+    const measure = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const rect = wrap.getBoundingClientRect();
+      setSize({
+        width: Math.max(1, Math.round(rect.width * dpr)),
+        height: Math.max(1, Math.round(rect.height * dpr)),
+        dpr,
+        base: viewportBase() * dpr,
+      });
+    };
+    measure();
+    const ro = new ResizeObserver(measure);
+    ro.observe(wrap);
+    window.addEventListener("resize", measure);
+
+    return () => {
+      ro.disconnect();
+      window.removeEventListener("resize", measure);
+      rendererRef.current?.dispose();
+      rendererRef.current = null;
+      canvas.remove();
+    };
+  }, [offscreen]);
+
+  // Decode the cover once per URL
+  useEffect(() => {
+    let cancelled = false;
+    const renderer = rendererRef.current;
+    if (!imageUrl) {
+      renderer?.setImage(null);
+      return;
+    }
+    loadTunnelImage(imageUrl)
+      .then((img) => {
+        if (cancelled || rendererRef.current !== renderer) img.close?.();
+        else renderer.setImage(img);
+      })
+      .catch(() => {
+        if (!cancelled) renderer?.setImage(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl, offscreen]);
+
+  const moving = !!(animate && imageUrl && (SPIN_SPEED || ZOOM_SPEED || BREATHE) && !prefersReducedMotion());
+
+  const following = parallax && !!imageUrl;
+
+  // The renderer adds the live parallax bias itself on every frame
+  useEffect(() => {
+    if (!size) return;
+    rendererRef.current?.update({
+      ...size,
+      LAYERS, ROT_STEP, GROWTH, FRONT_FACTOR,
+      SPIN_SPEED, ZOOM_SPEED, BREATHE, BREATHE_RATE,
+      speed, phase, direction,
+      biasX, biasY, centerFront,
+      background, shadowColor, shadows, moving,
+      parallax: following,
+    });
+  }, [
+    size, LAYERS, ROT_STEP, GROWTH, FRONT_FACTOR, SPIN_SPEED, ZOOM_SPEED, BREATHE, BREATHE_RATE,
+    speed, phase, direction, biasX, biasY, centerFront, background, shadowColor, shadows, moving, following,
+  ]);
+
+  return (
+    <div
+      ref={wrapRef}
+      className="tunnel-wrap"
+      style={{
+        background,
+        position: "relative",
+        width: "100%",
+        height: "100%",
+        overflow: "hidden",
+        touchAction: "none",
+      }}
+    />
+  );
+}
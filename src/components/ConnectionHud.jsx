@@ -0,0 +1,75 @@
+import React from "react";
+import { timeAgo } from "../lib/format";
+import { useNow } from "../lib/useNow";
+
+const DOT = {
+  ok: "bg-emerald-400",
+  backoff: "bg-amber-400",
+  offline: "bg-neutral-500",
+  auth: "bg-rose-500",
+  error: "bg-rose-500",
+};
+
+/**
+ * Small status pill over a signed-in grid: last successful fetch, backoff
+ * countdown, offline and auth failure. Quiet while things are fine, fully
+ * visible when they aren't. Hovering (or focusing) it reveals Reconnect /
+ * Disconnect (`disconnectLabel` renames it). `status` comes from
+ * useConnectionStatus().
+ */
+export default function ConnectionHud({
+  status,
+  service = "service",
+  account,
+  onReconnect,
+  onDisconnect,
+  disconnectLabel = "Disconnect",
+}) {
+  const { state, lastOkAt, retryAt, message } = status;
+  const counting = retryAt != null && retryAt > Date.now();
+  const now = useNow(counting ? 1000 : 30_000);
+
+  const updated = lastOkAt ? `updated ${timeAgo(lastOkAt, now)}` : "connecting…";
+  const retryIn = counting ? ` — retrying in ${Math.max(1, Math.ceil((retryAt - now) / 1000))}s` : "";
+  const label = {
+    ok: updated,
+    backoff: `Rate limited${retryIn}`,
+    offline: `Offline — showing last covers${retryIn}`,
+    auth: `${service} session expired`,
+    error: `Can't reach ${service}${retryIn}`,
+  }[state];
+
+  return (
+    <div
+      className={`group absolute bottom-3 left-3 z-20 max-w-[90vw] text-xs text-neutral-200 transition-opacity duration-300 ${
+        state === "ok" ? "opacity-30 hover:opacity-100 focus-within:opacity-100" : "opacity-100"
+      }`}
+    >
+      <div className="hidden group-hover:flex group-focus-within:flex mb-2 flex-col gap-1 rounded-xl bg-neutral-900/90 p-2 shadow-xl">
+        {account && <div className="px-2 py-1 text-neutral-400 truncate">{account}</div>}
+        {message && <div className="px-2 py-1 text-rose-300 break-words">{message}</div>}
+        {onReconnect && (
+          <button onClick={onReconnect} className="px-2 py-1 rounded-lg text-left hover:bg-neutral-800">
+            Reconnect
+          </button>
+        )}
+        {onDisconnect && (
+          <button onClick={onDisconnect} className="px-2 py-1 rounded-lg text-left hover:bg-neutral-800">
+            {disconnectLabel}
+          </button>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <div className="flex items-center gap-2 rounded-full bg-black/60 px-3 py-1" role="status">
+          <span className={`h-2 w-2 rounded-full ${DOT[state]}`} />
+          <span className="truncate">{label}</span>
+        </div>
+        {state === "auth" && onReconnect && (
+          <button onClick={onReconnect} className="rounded-full bg-emerald-600 px-3 py-1 hover:bg-emerald-500">
+            Reconnect
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
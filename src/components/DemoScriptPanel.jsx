@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { stepLabel } from "../lib/demoSource";
+
+/**
+ * The /demo script (bottom right): the steps with the current one lit; on
+ * hover, edit the script (onApply returns an error message or nothing) or
+ * restart the session.
+ */
+export default function DemoScriptPanel({ steps, current, script, error, onApply, onRestart }) {
+  const [draft, setDraft] = useState(script);
+  const [draftError, setDraftError] = useState("");
+
+  return (
+    <div className="group absolute bottom-3 right-3 z-20 max-w-[90vw] text-xs text-neutral-200 opacity-40 hover:opacity-100 focus-within:opacity-100">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setDraftError(onApply(draft) || "");
+        }}
+        className="hidden group-hover:flex group-focus-within:flex mb-2 flex-col gap-2 rounded-xl bg-neutral-900/90 p-2 shadow-xl"
+      >
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          className="w-80 max-w-full rounded-lg bg-neutral-800 px-2 py-1 font-mono"
+          aria-label="Demo script"
+        />
+        {(draftError || error) && <div className="text-rose-300">{draftError || error}</div>}
+        <div className="flex gap-2">
+          <button type="submit" className="px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700">
+            Apply
+          </button>
+          <button type="button" onClick={onRestart} className="px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700">
+            Restart
+          </button>
+        </div>
+      </form>
+      <div className="flex flex-wrap justify-end gap-1 rounded-full bg-black/60 px-3 py-1 font-mono" role="status">
+        <span className="mr-1 font-sans text-neutral-400">demo</span>
+        {steps.map((step, i) => (
+          <span key={i} className={i === current?.index ? "text-amber-300" : "text-neutral-500"}>
+            {stepLabel(step)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
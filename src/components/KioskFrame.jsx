@@ -0,0 +1,30 @@
+import React from "react";
+
+/**
+ * Page wrapper for kiosk mode (see useKiosk): drifts its content a few px
+ * against burn-in, hides an idle cursor and dims or blanks the screen during
+ * night hours. `blank` blacks the screen out at any time (remote control).
+ * With kiosk off it is just the wrapping div.
+ */
+export default function KioskFrame({ kiosk, blank = false, className = "", children, ...rest }) {
+  const { enabled, night, nightMode, cursorHidden, offset } = kiosk;
+  return (
+    <div className={`${className} ${cursorHidden ? "cursor-none" : ""}`} {...rest}>
+      <div
+        className="relative h-full w-full"
+        style={
+          enabled ? { transform: `translate(${offset.x}px, ${offset.y}px)`, transition: "transform 10s linear" } : undefined
+        }
+      >
+        {children}
+      </div>
+      {(night || blank) && (
+        <div
+          className={`fixed inset-0 z-30 pointer-events-none bg-black transition-opacity duration-[3000ms] ${
+            blank || nightMode === "blank" ? "opacity-100" : "opacity-80"
+          }`}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { extractCoverArtFromFile } from "../lib/coverArt";
+
+// =====================
+// 🔧 CONFIG
+// =====================
+const AUDIO_EXT = /\.(mp3|flac|m4a|mp4|aac|alac)$/i;
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+// Folder a file came from; stands in for the album when tags are missing
+function folderOf(file) {
+  const path = file.webkitRelativePath || file.relativePath || file.name;
+  const i = path.lastIndexOf("/");
+  return i === -1 ? "" : path.slice(0, i);
+}
+
+// =====================
+// Drag & drop folder walking
+// =====================
+function readEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function walkEntry(entry, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    file.relativePath = entry.fullPath.replace(/^\//, "");
+    out.push(file);
+    return;
+  }
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries hands back batches until it returns an empty one
+    for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+      for (const e of batch) await walkEntry(e, out);
+    }
+  }
+}
+
+async function filesFromDrop(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((it) => it.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer.files || []);
+  const out = [];
+  for (const e of entries) await walkEntry(e, out);
+  return out;
+}
+
+// =====================
+// Covers -> tiles (array source for RecentGrid)
+// =====================
+// Newest files first, one tile per album tag; each cover becomes an object URL.
+async function tilesFromFiles(files, onProgress) {
+  const audio = files
+    .filter((f) => AUDIO_EXT.test(f.name))
+    .sort((a, b) => b.lastModified - a.lastModified);
+
+  const seen = new Set();
+  const tiles = [];
+  for (let i = 0; i < audio.length; i++) {
+    const file = audio[i];
+    onProgress?.(i + 1, audio.length);
+    try {
+      const tags = await extractCoverArtFromFile(file);
+      if (!tags?.picture) continue;
+      const id = tags.album ? `${norm(tags.artist)}|${norm(tags.album)}` : `dir:${folderOf(file)}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const blob = new Blob([tags.picture.data], { type: tags.picture.mime });
+      tiles.push({
+        id,
+        src: URL.createObjectURL(blob),
+        album: tags.album || folderOf(file).split("/").pop() || undefined,
+        artists: tags.artist ? [tags.artist] : [],
+      });
+    } catch {
+      // unreadable / truncated file: skip it
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Drop a music folder or pick audio files; their embedded covers become the
+ * grid's tiles through auth.connect({ tiles }). Rendered by ProviderShell
+ * as the Local provider's Connect. Nothing leaves the browser.
+ */
+export default function LocalDropZone({ auth }) {
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState("");
+
+  async function load(files) {
+    setError("");
+    setProgress({ done: 0, total: 0 });
+    let tiles;
+    try {
+      tiles = await tilesFromFiles(files, (done, total) => setProgress({ done, total }));
+    } catch (e) {
+      setError(e.message);
+      return;
+    } finally {
+      setProgress(null);
+    }
+    if (!tiles.length) {
+      setError("No embedded cover art found in those files.");
+      return;
+    }
+    auth.connect({ tiles });
+  }
+
+  async function onDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    let files;
+    try {
+      files = await filesFromDrop(e.dataTransfer);
+    } catch (err) {
+      // a folder that can't be read (permissions, vanished entries)
+      setProgress(null);
+      setError(err.message);
+      return;
+    }
+    await load(files);
+  }
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={onDrop}
+      className={`rounded-2xl border-2 border-dashed p-10 text-center ${
+        dragging ? "border-sky-400 bg-neutral-900" : "border-neutral-700"
+      }`}
+    >
+      <div className="text-neutral-300">Drop a music folder or audio files here</div>
+      <div className="mt-4 flex justify-center gap-3">
+        <label className="px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 cursor-pointer">
+          Choose files
+          <input
+            type="file"
+            multiple
+            accept=".mp3,.flac,.m4a,.mp4,audio/*"
+            className="hidden"
+            onChange={(e) => load(Array.from(e.target.files || []))}
+          />
+        </label>
+        <label className="px-3 py-1.5 rounded-xl bg-neutral-800 hover:bg-neutral-700 cursor-pointer">
+          Choose folder
+          <input
+            type="file"
+            webkitdirectory=""
+            className="hidden"
+            onChange={(e) => load(Array.from(e.target.files || []))}
+          />
+        </label>
+      </div>
+      {progress && (
+        <div className="mt-4 text-xs text-neutral-400">
+          Reading {progress.done} / {progress.total}…
+        </div>
+      )}
+      {error && <div className="mt-4 text-rose-400 text-sm">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createPin, checkPin, discoverServer, authAppUrl, trimUrl, PIN_POLL_MS, PIN_TIMEOUT_MS } from "../providers/plexApi";
+
+/**
+ * "Sign in with Plex": opens plex.tv's PIN page, polls until it hands over
+ * a token, then finds a server. A server URL typed into the connect form
+ * wins over the discovered one. Rendered by ProviderShell as the Plex
+ * provider's Connect.
+ */
+export default function PlexPinLogin({ auth, values, setValues }) {
+  const [pin, setPin] = useState(null); // { id, code, startedAt }
+  const { setError } = auth;
+
+  // The poll reads these at hand-over time, so a URL typed while waiting counts
+  const latest = useRef(null);
+  latest.current = { typedUrl: trimUrl(values.serverUrl), connect: auth.connect, setError, setValues };
+
+  async function start() {
+    setError("");
+    try {
+      const p = await createPin();
+      setPin({ id: p.id, code: p.code, startedAt: Date.now() });
+      window.open(authAppUrl(p.code), "_blank", "noopener");
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  // Poll the PIN until plex.tv hands us a token, then find a server
+  useEffect(() => {
+    if (!pin) return;
+    let stop = false;
+    let handle = null;
+
+    const poll = async () => {
+      try {
+        const { authToken } = await checkPin(pin.id);
+        if (stop) return;
+        if (authToken) {
+          const found = await discoverServer(authToken);
+          if (stop) return;
+          setPin(null);
+          const { typedUrl, connect, setError, setValues } = latest.current;
+          const url = typedUrl || found?.serverUrl;
+          const token = found?.token ?? authToken;
+          if (url) connect({ serverUrl: url, token });
+          else {
+            setValues((prev) => ({ ...prev, token }));
+            setError("Signed in, but no Plex server was found. Enter its URL.");
+          }
+          return;
+        }
+        if (Date.now() - pin.startedAt > PIN_TIMEOUT_MS) {
+          setPin(null);
+          latest.current.setError("Plex sign-in timed out.");
+          return;
+        }
+        handle = setTimeout(poll, PIN_POLL_MS);
+      } catch (e) {
+        if (stop) return;
+        setPin(null);
+        latest.current.setError(e.message);
+      }
+    };
+
+    poll();
+    return () => {
+      stop = true;
+      clearTimeout(handle);
+    };
+  }, [pin]);
+
+  return (
+    <div className="bg-neutral-900 rounded-2xl p-4 shadow-xl text-left">
+      <button
+        onClick={start}
+        disabled={!!pin}
+        className="px-3 py-1.5 rounded-xl bg-amber-600 hover:bg-amber-500 disabled:opacity-50"
+      >
+        {pin ? "Waiting for Plex…" : "Sign in with Plex"}
+      </button>
+      <div className="mt-3 text-xs text-neutral-400">
+        {pin ? (
+          <>Approve code <code>{pin.code}</code> in the Plex tab that just opened.</>
+        ) : (
+          "Or enter your server URL and token."
+        )}
+      </div>
+    </div>
+  );
+}
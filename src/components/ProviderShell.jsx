@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import RecentGrid from "./recentGrid";
+import KioskFrame from "./KioskFrame";
+import SettingsDrawer from "./SettingsDrawer";
+import ConnectionHud from "./ConnectionHud";
+import { useProviderAuth } from "../lib/useProviderAuth";
+import { useGridSettings } from "../lib/useGridSettings";
+import { useConnectionStatus } from "../lib/useConnectionStatus";
+import { kioskFromSearch, loadKioskSetting, saveKioskSetting } from "../lib/kiosk";
+import { useKiosk } from "../lib/useKiosk";
+import { useRemoteDisplay } from "../lib/useRemoteDisplay";
+
+// "Set `X` and add `Y`…" -> text with <code> spans
+function Hint({ text }) {
+  return text.split("`").map((part, i) => (i % 2 ? <code key={i}>{part}</code> : part));
+}
+
+// The default display: the descriptor's fetcher over the credentials
+function useFetcherDisplay({ provider, credentials }) {
+  const source = useMemo(() => provider.fetcher(credentials), [provider, credentials]);
+  return {
+    source,
+    cacheKey: provider.cacheKey?.(credentials),
+    account: provider.account?.(credentials),
+  };
+}
+
+// =====================
+// Signed out: connect form / sign-in, setup hints, errors
+// =====================
+function ConnectScreen({ provider, auth }) {
+  const { Connect, settings, theme } = provider;
+  const [values, setValues] = useState(() => Object.fromEntries(settings.map((f) => [f.key, ""])));
+  const setup = provider.auth.setup?.(auth);
+  const card = settings.length > 0 || setup || auth.configError || auth.error;
+
+  function onSubmit(e) {
+    e.preventDefault();
+    auth.connect(values);
+  }
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100">
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        <header className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className={`w-10 h-10 rounded-xl bg-gradient-to-br ${theme.logo || "from-neutral-500 to-neutral-700"}`} />
+            <div>
+              <div className="text-lg font-semibold">Album Art Visualizer</div>
+              <div className="text-xs text-neutral-400">{provider.description}</div>
+            </div>
+          </div>
+          {auth.type === "pkce" && (
+            <button
+              onClick={() => auth.connect()}
+              disabled={!!auth.configError}
+              className={`px-3 py-1.5 rounded-xl disabled:opacity-50 ${theme.button || "bg-neutral-800 hover:bg-neutral-700"}`}
+            >
+              Connect {provider.name}
+            </button>
+          )}
+        </header>
+
+        <main className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+          {Connect && (
+            <section className={card ? "lg:col-span-2" : "lg:col-span-3"}>
+              <Connect auth={auth} values={values} setValues={setValues} />
+            </section>
+          )}
+          {card && (
+            <aside className="order-1 lg:order-2">
+              <form onSubmit={onSubmit} className="bg-neutral-900 rounded-2xl p-4 shadow-xl text-left">
+                {settings.map((field, i) => (
+                  <label key={field.key} className={`block text-xs text-neutral-400 ${i ? "mt-3" : ""}`}>
+                    {field.label}
+                    <input
+                      value={values[field.key]}
+                      onChange={(e) => setValues((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                      type={field.type === "password" ? "password" : "text"}
+                      placeholder={field.placeholder}
+                      className="mt-1 w-full rounded-lg bg-neutral-800 px-2 py-1.5 text-sm text-neutral-100"
+                    />
+                  </label>
+                ))}
+                {settings.length > 0 && (
+                  <button
+                    type="submit"
+                    disabled={!!auth.configError}
+                    className={`mt-4 px-3 py-1.5 rounded-xl disabled:opacity-50 ${theme.button || "bg-neutral-800 hover:bg-neutral-700"}`}
+                  >
+                    {provider.connectLabel || "Connect"}
+                  </button>
+                )}
+                {auth.error && <div className="mt-3 text-rose-400 text-sm">{auth.error}</div>}
+                {(setup || auth.configError) && (
+                  <div className="mt-3 text-xs text-neutral-400">
+                    {auth.configError && <Hint text={`${auth.configError} `} />}
+                    {setup && <Hint text={setup} />}
+                    {auth.configError && (
+                      <>
+                        {" "}No account handy? <Link to="/demo" className="underline">Try the demo</Link> with generated covers.
+                      </>
+                    )}
+                  </div>
+                )}
+              </form>
+            </aside>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
+
+// =====================
+// Signed in: the grid with drawer, HUD and the provider's controls
+// =====================
+function ProviderDisplay({ provider, auth }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { settings, setSettings, grid } = useGridSettings(searchParams);
+  const remote = useRemoteDisplay({ name: provider.name, settings, setSettings, searchParams });
+  const [kioskSetting, setKioskSetting] = useState(loadKioskSetting);
+  const changeKiosk = (next) => {
+    saveKioskSetting(next);
+    setKioskSetting(next);
+  };
+  const kiosk = useKiosk(useMemo(() => kioskFromSearch(searchParams, kioskSetting), [searchParams, kioskSetting]));
+  const status = useConnectionStatus({ authError: auth.authError });
+
+  const useDisplay = provider.useDisplay ?? useFetcherDisplay;
+  const display = useDisplay({ provider, credentials: auth.credentials, auth, searchParams, setSearchParams, kiosk });
+  const { Controls } = provider;
+  const signsIn = provider.auth.type !== "none" || !!provider.Connect;
+
+  return (
+    <KioskFrame kiosk={kiosk} blank={remote.blanked} className="h-svh w-full bg-black overflow-hidden">
+      <RecentGrid
+        source={display.source}
+        {...grid}
+        {...remote.grid}
+        pollMs={kiosk.pollMs(display.pollMs ?? grid.pollMs)}
+        hero={display.hero}
+        onTiles={kiosk.onTiles}
+        cacheKey={display.cacheKey}
+        onStatus={status.onStatus}
+        full
+      />
+      <SettingsDrawer
+        settings={settings}
+        onChange={setSettings}
+        kiosk={kioskSetting}
+        onKioskChange={changeKiosk}
+        kioskFromUrl={searchParams.has("kiosk")}
+      />
+      {Controls && <Controls {...display.controls} />}
+      <ConnectionHud
+        status={status}
+        service={provider.name}
+        account={display.account}
+        onReconnect={auth.login ? () => auth.login() : undefined}
+        onDisconnect={signsIn ? auth.disconnect : undefined}
+        disconnectLabel={provider.disconnectLabel}
+      />
+    </KioskFrame>
+  );
+}
+
+/**
+ * One route's page for a registered provider (see providers/index.js):
+ * the connect screen while signed out, the grid once credentials exist.
+ * Connect / disconnect, credential storage and auth errors are handled by
+ * useProviderAuth the same way for every provider.
+ */
+export default function ProviderShell({ provider }) {
+  const auth = useProviderAuth(provider);
+  return auth.connected ? (
+    <ProviderDisplay provider={provider} auth={auth} />
+  ) : (
+    <ConnectScreen provider={provider} auth={auth} />
+  );
+}
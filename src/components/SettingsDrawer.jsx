@@ -0,0 +1,374 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { audioFeatures, supportsAudioInput } from "../lib/audioInput";
+import { useAudioInput } from "../lib/useAudioInput";
+import { useNow } from "../lib/useNow";
+import { parseHours } from "../lib/kiosk";
+import { POSTER_SIZES, currentWall, recordWall, renderPoster, supportsRecording } from "../lib/wallExport";
+import { saveBlob } from "../lib/saveBlob";
+import {
+  SETTINGS_FIELDS,
+  DEFAULT_SETTINGS,
+  loadPresets,
+  savePreset,
+  deletePreset,
+  presetSettings,
+  exportPresets,
+  importPresets,
+  settingsUrl,
+  audioOptionsFromSettings,
+} from "../lib/settings";
+
+const GROUPS = [...new Set(SETTINGS_FIELDS.map((f) => f.group))];
+
+function Field({ field, value, onChange }) {
+  if (field.type === "bool") {
+    return (
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>{field.label}</span>
+        <input type="checkbox" checked={!!value} onChange={(e) => onChange(e.target.checked)} />
+      </label>
+    );
+  }
+  if (field.type === "select") {
+    return (
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>{field.label}</span>
+        <select
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="rounded-lg bg-neutral-800 px-2 py-1"
+        >
+          {field.options.map((o) => (
+            <option key={o} value={o}>{o}</option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+  return (
+    <label className="block py-1">
+      <div className="flex justify-between gap-3">
+        <span>{field.label}</span>
+        <span className="tabular-nums text-neutral-400">{Number(value.toFixed(3))}</span>
+      </div>
+      <input
+        type="range"
+        min={field.min}
+        max={field.max}
+        step={field.step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full"
+      />
+    </label>
+  );
+}
+
+// Live bass / mid / high bars while an input is running
+function AudioMeter() {
+  useNow(100);
+  const f = audioFeatures();
+  return (
+    <div className="mt-2 flex h-8 items-end gap-1" aria-hidden="true">
+      {["bass", "mid", "high"].map((band) => (
+        <div key={band} className="flex-1 rounded bg-neutral-800">
+          <div className="rounded bg-emerald-500" style={{ height: `${Math.round((f?.[band] ?? 0) * 32)}px` }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AudioInputControls({ audio }) {
+  const button = (kind, label) => (
+    <button
+      onClick={() => (audio.kind === kind ? audio.stop() : audio.start(kind))}
+      disabled={!supportsAudioInput(kind)}
+      className={`rounded-lg px-3 py-1 disabled:opacity-50 ${
+        audio.kind === kind ? "bg-emerald-600 hover:bg-emerald-500" : "bg-neutral-800 hover:bg-neutral-700"
+      }`}
+    >
+      {label}
+    </button>
+  );
+  return (
+    <div className="py-1">
+      <div className="flex flex-wrap gap-2">
+        {button("mic", "Microphone")}
+        {button("tab", "Tab audio")}
+        {audio.kind && (
+          <button onClick={audio.stop} className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700">
+            Off
+          </button>
+        )}
+      </div>
+      {audio.kind && <AudioMeter />}
+      {audio.error && <div className="mt-2 text-xs text-rose-300">{audio.error.message}</div>}
+    </div>
+  );
+}
+
+// The stored kiosk setting (see lib/kiosk.js); ?kiosk= in the URL wins over it
+function KioskControls({ kiosk, onChange, fromUrl }) {
+  const set = (key, value) => onChange({ ...kiosk, [key]: value });
+  const badNight = kiosk.night.trim() !== "" && !parseHours(kiosk.night);
+  return (
+    <section className="mb-4">
+      <h2 className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Kiosk</h2>
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>Kiosk mode</span>
+        <input type="checkbox" checked={kiosk.enabled} onChange={(e) => set("enabled", e.target.checked)} />
+      </label>
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>Night hours</span>
+        <input
+          value={kiosk.night}
+          onChange={(e) => set("night", e.target.value)}
+          placeholder="23-7"
+          className="w-28 rounded-lg bg-neutral-800 px-2 py-1"
+        />
+      </label>
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>At night</span>
+        <select value={kiosk.nightMode} onChange={(e) => set("nightMode", e.target.value)} className="rounded-lg bg-neutral-800 px-2 py-1">
+          <option value="dim">dim</option>
+          <option value="blank">blank</option>
+        </select>
+      </label>
+      {badNight && <div className="mt-1 text-xs text-rose-300">Use hours like 23-7 or 22:30-6:45</div>}
+      {fromUrl && <div className="mt-1 text-xs text-neutral-400">This page’s ?kiosk= link overrides the toggle.</div>}
+    </section>
+  );
+}
+
+// PNG poster / WebM clip of the wall as it is now (no refetching)
+function ExportControls() {
+  const [sizeId, setSizeId] = useState(POSTER_SIZES[0].id);
+  const [caption, setCaption] = useState(false);
+  const [seconds, setSeconds] = useState(10);
+  const [busy, setBusy] = useState(null); // null | "poster" | 0..1 recording progress
+  const [note, setNote] = useState("");
+  const size = POSTER_SIZES.find((s) => s.id === sizeId) ?? POSTER_SIZES[0];
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  const skipped = (n) => (n ? ` (${n} cover${n > 1 ? "s" : ""} couldn't be read and are blank)` : "");
+
+  async function poster() {
+    setBusy("poster");
+    setNote("");
+    try {
+      const { blob, missing } = await renderPoster(currentWall(), { ...size, caption });
+      saveBlob(`album-wall-${stamp()}.png`, blob);
+      setNote(`Saved ${size.width}×${size.height} PNG${skipped(missing)}`);
+    } catch (err) {
+      setNote(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function record() {
+    setBusy(0);
+    setNote("");
+    try {
+      const { blob, missing, width, height } = await recordWall(currentWall(), {
+        ...size, seconds, caption, onProgress: setBusy,
+      });
+      saveBlob(`album-wall-${stamp()}.webm`, blob);
+      setNote(`Saved ${seconds}s ${width}×${height} WebM${skipped(missing)}`);
+    } catch (err) {
+      setNote(`Recording failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  return (
+    <section className="mb-4">
+      <h2 className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Export</h2>
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>Size</span>
+        <select value={sizeId} onChange={(e) => setSizeId(e.target.value)} className="rounded-lg bg-neutral-800 px-2 py-1">
+          {POSTER_SIZES.map((s) => (
+            <option key={s.id} value={s.id}>{s.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center justify-between gap-3 py-1">
+        <span>Captions</span>
+        <input type="checkbox" checked={caption} onChange={(e) => setCaption(e.target.checked)} />
+      </label>
+      <label className="block py-1">
+        <div className="flex justify-between gap-3">
+          <span>Video length</span>
+          <span className="tabular-nums text-neutral-400">{seconds}s</span>
+        </div>
+        <input type="range" min={1} max={60} step={1} value={seconds} onChange={(e) => setSeconds(Number(e.target.value))} className="w-full" />
+      </label>
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button onClick={poster} disabled={busy != null} className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700 disabled:opacity-50">
+          {busy === "poster" ? "Rendering…" : "Save PNG"}
+        </button>
+        <button
+          onClick={record}
+          disabled={busy != null || !supportsRecording()}
+          className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700 disabled:opacity-50"
+        >
+          {typeof busy === "number" ? `Recording… ${Math.round(busy * 100)}%` : "Record WebM"}
+        </button>
+      </div>
+      {note && <div className="mt-2 text-xs text-neutral-400">{note}</div>}
+    </section>
+  );
+}
+
+/**
+ * Gear button (top right, shows on hover) opening a drawer with every grid
+ * and tunnel setting, plus the microphone / tab audio input the tunnels
+ * react to. Changes apply live through onChange; presets are saved by name,
+ * exported/imported as JSON, and "Copy link" encodes the current settings
+ * into the page URL. Export saves the wall as a PNG poster or WebM clip.
+ * With `kiosk` / `onKioskChange` it also edits the stored kiosk setting.
+ */
+export default function SettingsDrawer({ settings, onChange, kiosk, onKioskChange, kioskFromUrl = false }) {
+  const [open, setOpen] = useState(false);
+  const [presets, setPresets] = useState(loadPresets);
+  const [name, setName] = useState("");
+  const [note, setNote] = useState("");
+  const fileRef = useRef(null);
+
+  const { audioBass, audioHighs, audioOnsets, audioAutoGain } = settings;
+  const audioOptions = useMemo(
+    () => audioOptionsFromSettings({ audioBass, audioHighs, audioOnsets, audioAutoGain }),
+    [audioBass, audioHighs, audioOnsets, audioAutoGain]
+  );
+  const audio = useAudioInput(audioOptions);
+
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === "Escape" && setOpen(false);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open]);
+
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+
+  function save() {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setPresets(savePreset(trimmed, settings));
+    setNote(`Saved “${trimmed}”`);
+  }
+
+  function download() {
+    saveBlob("album-art-presets.json", new Blob([exportPresets(presets)], { type: "application/json" }));
+  }
+
+  async function upload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setPresets(importPresets(await file.text()));
+      setNote(`Imported ${file.name}`);
+    } catch (err) {
+      setNote(`Import failed: ${err.message}`);
+    }
+  }
+
+  async function copyLink() {
+    const link = settingsUrl(window.location.href, settings);
+    try {
+      await navigator.clipboard.writeText(link);
+      setNote("Link copied");
+    } catch {
+      setNote(link); // no clipboard access: show it to copy by hand
+    }
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-label="Settings"
+        className={`absolute top-3 right-3 z-40 h-9 w-9 rounded-full bg-black/60 text-lg text-neutral-200 transition-opacity duration-300 ${
+          open ? "opacity-100" : "opacity-0 hover:opacity-100 focus:opacity-100"
+        }`}
+      >
+        ⚙
+      </button>
+      {open && (
+        <aside
+          onDoubleClick={(e) => e.stopPropagation()} // pages may use double-click (e.g. /local resets)
+          className="fixed top-0 right-0 z-30 h-full w-80 max-w-[90vw] overflow-y-auto bg-neutral-950/95 p-4 pt-14 text-sm text-neutral-100 shadow-2xl"
+        >
+          {GROUPS.map((group) => (
+            <section key={group} className="mb-4">
+              <h2 className="mb-1 text-xs uppercase tracking-wide text-neutral-400">{group}</h2>
+              {SETTINGS_FIELDS.filter((f) => f.group === group).map((f) => (
+                <Field key={f.key} field={f} value={settings[f.key]} onChange={(v) => set(f.key, v)} />
+              ))}
+              {group === "Audio" && <AudioInputControls audio={audio} />}
+            </section>
+          ))}
+
+          {kiosk && onKioskChange && <KioskControls kiosk={kiosk} onChange={onKioskChange} fromUrl={kioskFromUrl} />}
+
+          <ExportControls />
+
+          <section className="mb-4">
+            <h2 className="mb-1 text-xs uppercase tracking-wide text-neutral-400">Presets</h2>
+            {Object.keys(presets).length === 0 && <div className="py-1 text-neutral-500">No saved presets</div>}
+            {Object.entries(presets).map(([presetName, preset]) => (
+              <div key={presetName} className="flex items-center gap-2 py-1">
+                <button
+                  onClick={() => onChange(presetSettings(preset))}
+                  className="flex-1 truncate rounded-lg px-2 py-1 text-left hover:bg-neutral-800"
+                >
+                  {presetName}
+                </button>
+                <button
+                  onClick={() => setPresets(deletePreset(presetName))}
+                  aria-label={`Delete ${presetName}`}
+                  className="rounded-lg px-2 py-1 text-neutral-400 hover:bg-neutral-800"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <div className="mt-2 flex gap-2">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && save()}
+                placeholder="Preset name"
+                className="min-w-0 flex-1 rounded-lg bg-neutral-800 px-2 py-1"
+              />
+              <button onClick={save} className="rounded-lg bg-emerald-600 px-3 py-1 hover:bg-emerald-500">
+                Save
+              </button>
+            </div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              <button onClick={download} className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700">
+                Export
+              </button>
+              <button onClick={() => fileRef.current?.click()} className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700">
+                Import
+              </button>
+              <button onClick={copyLink} className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700">
+                Copy link
+              </button>
+              <button
+                onClick={() => onChange({ ...DEFAULT_SETTINGS })}
+                className="rounded-lg bg-neutral-800 px-3 py-1 hover:bg-neutral-700"
+              >
+                Reset
+              </button>
+              <input ref={fileRef} type="file" accept="application/json,.json" onChange={upload} className="hidden" />
+            </div>
+            {note && <div className="mt-2 break-all text-xs text-neutral-400">{note}</div>}
+          </section>
+        </aside>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { MODES, modeById, parsePlaylistId } from "../providers/spotifyModes";
+
+/**
+ * What the Spotify grid shows (top left, shows on hover): recently played,
+ * top albums, saved albums or a playlist. `ready` is false until the mode's
+ * scopes are granted; onGrant asks for them.
+ */
+export default function SpotifyModePicker({ view, onChange, playlists, ready, onGrant }) {
+  const [pasted, setPasted] = useState("");
+  const mode = modeById(view.mode);
+  return (
+    <div
+      className={`absolute top-3 left-3 z-40 flex flex-col gap-2 rounded-xl bg-black/60 p-2 text-xs text-neutral-200 transition-opacity duration-300 ${
+        ready ? "opacity-0 hover:opacity-100 focus-within:opacity-100" : "opacity-100"
+      }`}
+    >
+      <select
+        value={mode.id}
+        onChange={(e) => onChange({ ...view, mode: e.target.value })}
+        className="rounded-lg bg-neutral-800 px-2 py-1"
+      >
+        {MODES.map((m) => (
+          <option key={m.id} value={m.id}>{m.label}</option>
+        ))}
+      </select>
+      {!ready && (
+        <button onClick={onGrant} className="rounded-lg bg-emerald-600 px-2 py-1 hover:bg-emerald-500">
+          Allow access to {mode.label.toLowerCase()}
+        </button>
+      )}
+      {ready && mode.id === "playlist" && (
+        <>
+          {playlists.length > 0 && (
+            <select
+              value={view.playlist || ""}
+              onChange={(e) => onChange({ ...view, playlist: e.target.value })}
+              className="max-w-64 rounded-lg bg-neutral-800 px-2 py-1"
+            >
+              <option value="">Choose a playlist…</option>
+              {playlists.map((pl) => (
+                <option key={pl.id} value={pl.id}>{pl.name}</option>
+              ))}
+            </select>
+          )}
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              const id = parsePlaylistId(pasted);
+              if (id) onChange({ ...view, playlist: id });
+              setPasted("");
+            }}
+          >
+            <input
+              value={pasted}
+              onChange={(e) => setPasted(e.target.value)}
+              placeholder="…or paste a playlist link"
+              className="w-full rounded-lg bg-neutral-800 px-2 py-1"
+            />
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
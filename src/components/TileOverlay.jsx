@@ -0,0 +1,64 @@
+import React, { useRef, useState } from "react";
+import { timeAgo, artistLine } from "../lib/format";
+import { useNow } from "../lib/useNow";
+
+/**
+ * Metadata on top of a tile. Styles:
+ * - "caption": bar along the bottom (track / album — artists)
+ * - "badge":   small corner pill with "now playing" / "played 12 min ago"
+ * - "hover":   full info, hidden until hover; on touch screens the first tap
+ *              shows it and the next one reaches the tile (e.g. its focus)
+ * Tiles without metadata render nothing.
+ */
+export default function TileOverlay({ tile, variant = "caption" }) {
+  const now = useNow();
+  const [pinned, setPinned] = useState(false);
+  const pointerType = useRef("mouse");
+
+  const title = tile?.track || tile?.album || "";
+  const artists = artistLine(tile);
+  const subtitle = [tile?.track ? tile.album : null, artists].filter(Boolean).join(" — ");
+  const when = tile?.nowPlaying ? "now playing" : timeAgo(tile?.playedAt, now);
+  if (!tile?.src || (!title && !artists && !when)) return null;
+
+  if (variant === "badge") {
+    if (!when) return null;
+    return (
+      <div className="absolute top-2 right-2 px-2 py-0.5 rounded-full bg-black/60 text-[11px] text-neutral-200 pointer-events-none">
+        {tile.nowPlaying ? when : `played ${when}`}
+      </div>
+    );
+  }
+
+  const body = (
+    <>
+      {title && <div className="text-sm font-semibold truncate">{title}</div>}
+      {subtitle && <div className="text-xs text-neutral-300 truncate">{subtitle}</div>}
+    </>
+  );
+
+  if (variant === "hover") {
+    return (
+      <div
+        onPointerDown={(e) => { pointerType.current = e.pointerType; }}
+        onClick={(e) => {
+          if (pointerType.current !== "mouse" && !pinned) e.stopPropagation(); // the reveal tap stops here
+          setPinned((p) => !p);
+        }}
+        className={`absolute inset-0 flex flex-col justify-end p-3 text-left bg-gradient-to-t from-black/80 via-black/20 to-transparent transition-opacity duration-300 ${
+          pinned ? "opacity-100" : "opacity-0 group-hover:opacity-100"
+        }`}
+      >
+        {body}
+        {when && <div className="mt-1 text-[11px] text-neutral-400">{tile.nowPlaying ? when : `played ${when}`}</div>}
+      </div>
+    );
+  }
+
+  // caption
+  return (
+    <div className="absolute inset-x-0 bottom-0 px-3 py-2 text-left bg-black/60 pointer-events-none">
+      {body}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Keyframes per mode: [incoming, outgoing]
+const KEYFRAMES = {
+  crossfade: [
+    [{ opacity: 0 }, { opacity: 1 }],
+    [{ opacity: 1 }, { opacity: 0 }],
+  ],
+  // outgoing cover flies past the viewer while the new one rises out of the tunnel
+  zoom: [
+    [{ opacity: 0, transform: "scale(0.6)" }, { opacity: 1, transform: "scale(1)" }],
+    [{ opacity: 1, transform: "scale(1)" }, { opacity: 0, transform: "scale(1.8)" }],
+  ],
+};
+
+function Layer({ entering, leaving, mode, duration, children }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const el = ref.current;
+    if (!el || !el.animate || (!entering && !leaving)) return;
+    const [inFrames, outFrames] = KEYFRAMES[mode] ?? KEYFRAMES.crossfade;
+    const anim = el.animate(entering ? inFrames : outFrames, {
+      duration,
+      easing: "ease-in-out",
+      fill: "forwards",
+    });
+    return () => anim.cancel();
+  }, [entering, leaving, mode, duration]);
+
+  return (
+    <div ref={ref} style={{ position: "absolute", inset: 0 }}>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Keeps the outgoing tile on screen while the incoming one animates in, so a
+ * slot changes cover without remounting to black. Used for "crossfade" and
+ * "zoom" transitions; renderTile(tile) draws one tile.
+ */
+export default function TileTransition({ tile, mode = "crossfade", duration = 700, renderTile }) {
+  const [layers, setLayers] = useState(() => [{ tile, key: 0 }]);
+
+  // Compare by id/src: placeholder tiles are fresh objects every render, so
+  // the effect keys on those and reads the tile itself through a ref
+  const tileRef = useRef(tile);
+  tileRef.current = tile;
+  useEffect(() => {
+    const next = tileRef.current;
+    setLayers((ls) => {
+      const top = ls[ls.length - 1];
+      if (top.tile.id === next.id && top.tile.src === next.src) return ls;
+      if (top.tile.id === next.id || !top.tile.src) {
+        // same album with a new URL, or nothing to fade from: swap in place
+        return [{ tile: next, key: top.key }];
+      }
+      return [top, { tile: next, key: top.key + 1 }];
+    });
+  }, [tile.id, tile.src]);
+
+  // Drop the outgoing layer once its animation is done
+  useEffect(() => {
+    if (layers.length < 2) return;
+    const handle = setTimeout(() => setLayers((ls) => ls.slice(-1)), duration);
+    return () => clearTimeout(handle);
+  }, [layers, duration]);
+
+  return (
+    <div style={{ position: "relative", width: "100%", height: "100%" }}>
+      {layers.map((l, i) => (
+        <Layer
+          key={l.key}
+          mode={mode}
+          duration={duration}
+          entering={layers.length > 1 && i === layers.length - 1}
+          leaving={layers.length > 1 && i < layers.length - 1}
+        >
+          {/* the settled layer shows the live tile so metadata stays current */}
+          {renderTile(i === layers.length - 1 && l.tile.id === tile.id ? tile : l.tile)}
+        </Layer>
+      ))}
+    </div>
+  );
+}
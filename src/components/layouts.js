@@ -0,0 +1,179 @@
+// =====================
+// Grid layouts for RecentGrid
+// =====================
+/**
+ * A layout is plain data:
+ *   {
+ *     id, name,
+ *     cols, rows,                      // CSS grid tracks (equal fractions)
+ *     cells: [{ col, row, colSpan?, rowSpan?, hero? }],   // 1-based, in fill order
+ *     portrait?: Layout,               // optional explicit portrait variant
+ *   }
+ * Cells are filled newest-first. A `hero` cell takes the now-playing tile
+ * when there is one, otherwise just the next recent tile.
+ * Without a `portrait` variant the layout is transposed on tall screens.
+ */
+
+export function uniformGrid(cols, rows) {
+  const cells = [];
+  for (let row = 1; row <= rows; row++) {
+    for (let col = 1; col <= cols; col++) cells.push({ col, row });
+  }
+  return { id: `grid-${cols}x${rows}`, name: `${cols}×${rows} grid`, cols, rows, cells };
+}
+
+export const LAYOUTS = {
+  // The original 2x3 mosaic: two small over one wide | one wide over two small
+  "mosaic-2x3": {
+    id: "mosaic-2x3",
+    name: "Mosaic (2×3)",
+    cols: 4,
+    rows: 2,
+    cells: [
+      { col: 1, row: 1 },
+      { col: 2, row: 1 },
+      { col: 1, row: 2, colSpan: 2 },
+      { col: 3, row: 1, colSpan: 2 },
+      { col: 3, row: 2 },
+      { col: 4, row: 2 },
+    ],
+  },
+  "grid-2x2": uniformGrid(2, 2),
+  "grid-3x2": uniformGrid(3, 2),
+  "grid-3x3": uniformGrid(3, 3),
+  "grid-4x3": uniformGrid(4, 3),
+  single: {
+    id: "single",
+    name: "Single tunnel",
+    cols: 1,
+    rows: 1,
+    cells: [{ col: 1, row: 1, hero: true }],
+  },
+  "hero-1+4": {
+    id: "hero-1+4",
+    name: "Hero + 4",
+    cols: 4,
+    rows: 2,
+    cells: [
+      { col: 2, row: 1, colSpan: 2, rowSpan: 2, hero: true },
+      { col: 1, row: 1 },
+      { col: 4, row: 1 },
+      { col: 1, row: 2 },
+      { col: 4, row: 2 },
+    ],
+  },
+  // 3 recent | now playing | 3 recent (used while something is playing)
+  "now-playing": {
+    id: "now-playing",
+    name: "Now playing",
+    cols: 4,
+    rows: 3,
+    cells: [
+      { col: 2, row: 1, colSpan: 2, rowSpan: 3, hero: true },
+      { col: 1, row: 1 },
+      { col: 1, row: 2 },
+      { col: 1, row: 3 },
+      { col: 4, row: 1 },
+      { col: 4, row: 2 },
+      { col: 4, row: 3 },
+    ],
+  },
+  masonry: {
+    id: "masonry",
+    name: "Masonry",
+    cols: 4,
+    rows: 3,
+    cells: [
+      { col: 1, row: 1, colSpan: 2, rowSpan: 2 },
+      { col: 3, row: 1 },
+      { col: 4, row: 1 },
+      { col: 3, row: 2, colSpan: 2, rowSpan: 2 },
+      { col: 1, row: 3 },
+      { col: 2, row: 3 },
+    ],
+  },
+};
+
+export const DEFAULT_LAYOUT = "mosaic-2x3";
+
+function transpose(layout) {
+  return {
+    ...layout,
+    cols: layout.rows,
+    rows: layout.cols,
+    cells: layout.cells.map((c) => ({
+      ...c,
+      col: c.row,
+      row: c.col,
+      colSpan: c.rowSpan,
+      rowSpan: c.colSpan,
+    })),
+  };
+}
+
+/**
+ * Turn a preset id or layout object into the concrete layout for the
+ * current orientation. Unknown ids fall back to the default mosaic.
+ */
+export function resolveLayout(layout, { portrait = false } = {}) {
+  const base =
+    layout && typeof layout === "object"
+      ? layout
+      : LAYOUTS[layout] ?? LAYOUTS[DEFAULT_LAYOUT];
+  if (!portrait || base.cols === base.rows) return base;
+  if (base.portrait) return base.portrait;
+  // only flip layouts that are wider than tall
+  return base.cols > base.rows ? transpose(base) : base;
+}
+
+/** Number of tiles a layout shows. */
+export const layoutTileCount = (layout) => layout.cells.length;
+
+/**
+ * Fill a resolved layout's cells in order: [{ cell, tile }]. `pins`
+ * ({ [cellIndex]: tile }) hold their cells and are left out of the rest; the
+ * hero (if any) claims the first free hero cell; empty cells get
+ * { id: "placeholder-i", src: null }.
+ */
+export function placeTiles(layout, hero, recent, pins = null) {
+  const pinnedIds = new Set(Object.values(pins || {}).map((t) => t.id));
+  const rest = pinnedIds.size ? recent.filter((t) => !pinnedIds.has(t.id)) : recent;
+  const heroTile = hero && !pinnedIds.has(hero.id) ? hero : null;
+  let next = 0;
+  let heroPlaced = false;
+  return layout.cells.map((cell, i) => {
+    if (pins?.[i]) return { cell, tile: pins[i] };
+    if (cell.hero && heroTile && !heroPlaced) {
+      heroPlaced = true;
+      return { cell, tile: heroTile };
+    }
+    return { cell, tile: rest[next++] ?? { id: `placeholder-${i}`, src: null } };
+  });
+}
+
+const cellCenter = (c) => ({ x: c.col + ((c.colSpan ?? 1) - 1) / 2, y: c.row + ((c.rowSpan ?? 1) - 1) / 2 });
+
+/**
+ * Index of the cell reached from cells[index] with an arrow key
+ * ("left" | "right" | "up" | "down"), or `index` when nothing lies that way.
+ * Picks the nearest center in that direction, preferring cells in line.
+ */
+export function neighborCell(cells, index, direction) {
+  const from = cellCenter(cells[index]);
+  const [dx, dy] = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }[direction];
+  let best = index;
+  let bestScore = Infinity;
+  cells.forEach((cell, i) => {
+    if (i === index) return;
+    const c = cellCenter(cell);
+    const along = (c.x - from.x) * dx + (c.y - from.y) * dy;
+    if (along <= 0) return;
+    const across = Math.abs((c.x - from.x) * dy + (c.y - from.y) * dx);
+    const score = along + across * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = i;
+    }
+  });
+  return best;
+}
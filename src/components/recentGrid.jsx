@@ -1,61 +1,231 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import AlbumTunnel from "./AlbumTunnel";
+import AlbumTunnelCanvas from "./AlbumTunnelCanvas";
+import TileTransition from "./TileTransition";
+import TileOverlay from "./TileOverlay";
+import { resolveLayout, layoutTileCount, neighborCell, placeTiles } from "./layouts";
+import { getPalette, peekPalette } from "../lib/palette";
+import { shade, rgba, tileTheme } from "../lib/colors";
+import { preloadAll } from "../lib/preload";
+import { cacheTiles } from "../lib/imageCache";
+import { loadTiles, saveTiles } from "../lib/tileCache";
+import { useFlip } from "../lib/useFlip";
+import { useParallax } from "../lib/useParallax";
+import { publishWall } from "../lib/wallExport";
+import { prefersReducedMotion, tileVariation, GRID_KNOBS, DEFAULT_KNOBS } from "../lib/tunnel";
 
 /**
  * A small contract for bring-your-own data:
  * - source can be:
- *    1) Array<string | {id:string, src:string}>
- *    2) Async function: () => Promise<{ tiles: Array<{id, src}>, retryMs?: number }>
+ *    1) Array<string | Tile>
+ *    2) Async function: ({ take }) => Promise<{ tiles: Tile[], retryMs?: number, reason? }>
+ *       `take` is how many tiles the current layout can show. `reason` says
+ *       why it wants to wait: "rate-limit" (429 / Retry-After) or
+ *       "unavailable" (the service is down or busy); without one, retryMs
+ *       is just the fetcher's own schedule.
+ * - Tile is {id, src} plus optional metadata used by overlays:
+ *   { album?, track?, artists?: string[], playedAt?: ISO string | epoch ms, nowPlaying? }
+ * - overlay: "none" (default) | "caption" | "badge" | "hover"
+ * - layout: preset id from ./layouts (e.g. "grid-3x3", "masonry") or a
+ *   custom layout object; portrait screens get the portrait/transposed form.
+ * - renderer: "css" (default, DOM layers), "canvas" (Canvas2D) or
+ *   "offscreen" (Canvas2D in a worker, falls back to "canvas").
+ * - palette: extract dominant/accent colors per cover (in a worker, cached
+ *   by id) to tint tunnel backgrounds, shadows and the gaps; `ambient` adds a
+ *   page gradient. onTiles then receives tiles with a `palette` field.
+ * - transition: how a slot changes cover — "crossfade" (default), "zoom"
+ *   (tunnel zoom-through), "shift" (older albums glide down one slot) or
+ *   "none". New covers are preloaded and decoded before they are swapped in.
+ * - hero (optional {id, src}): shown in the hero cell of `heroLayout` with the
+ *   recent tiles arranged around it; its album is left out of the rest.
+ * - cacheKey (optional): persist the last tiles under this key and serve
+ *   covers from the IndexedDB image cache, so reloads paint immediately and
+ *   covers survive network drops. Tiles then carry the original URL as
+ *   `remoteSrc` while `src` is an object URL.
+ * - onStatus (optional): called after every fetch with
+ *   { at, ok, retryMs, reason?, error? } — ok=false with a `reason` means the
+ *   source asked to back off for that reason, an `error` means it threw
+ *   (retried after 30s).
+ * - parallax: tunnels lean toward the pointer / follow a tablet's tilt,
+ *   easing back to center when idle; they read the bias each frame
+ *   (lib/parallax), so the grid doesn't re-render while it moves.
+ * - focusable: click/tap or Enter on a tile opens it as one full-size
+ *   tunnel (←/→ step through the grid, Escape or browser back return);
+ *   arrow keys move between tiles.
+ * - paused: stop polling (the tiles stay); refreshKey: change it to fetch now.
+ * - pins (optional { [cellIndex]: Tile }): keep these tiles in those cells
+ *   (fill order of the layout); the rest fill around them.
  */
 
+// A focused tile is a full-size tunnel: the standalone depth, not the grid's
+const FOCUS_SHAPE = { LAYERS: DEFAULT_KNOBS.LAYERS, FRONT_FACTOR: DEFAULT_KNOBS.FRONT_FACTOR };
+
+const ARROWS = { ArrowLeft: "left", ArrowRight: "right", ArrowUp: "up", ArrowDown: "down" };
+
+const withPalettes = (list) => list.map((t) => ({ ...t, palette: peekPalette(t.id) ?? null }));
+
+function Tile({ tile, knobs, renderer = "css", theme, overlay = "none", parallax = false }) {
+  const variation = useMemo(() => tileVariation(tile.id), [tile.id]);
+  const Tunnel = renderer === "css" ? AlbumTunnel : AlbumTunnelCanvas;
+  return (
+    <div
+      className="relative group h-full w-full rounded-md overflow-hidden bg-black"
+      style={theme?.background ? { backgroundColor: theme.background } : undefined}
+    >
+      <Tunnel
+        imageUrl={tile.src ?? null}
+        parallax={parallax}
+        {...GRID_KNOBS}
+        ALPHA0={1}
+        ALPHA_FALLOFF={1}
+        centerFront
+        direction={variation.direction}
+        speed={variation.speed}
+        phase={variation.phase}
+        {...(renderer === "offscreen" ? { offscreen: true } : {})}
+        {...(theme || {})}
+        {...(knobs || {})}
+      />
+      {overlay !== "none" && <TileOverlay tile={tile} variant={overlay} />}
+    </div>
+  );
+}
 
 export default function RecentGrid({
   source,                 // Array or Async fetcher function (preferred)
   full = false,
   gap = 30,
   knobs,
-  maxTiles = 6,
+  renderer = "css",       // "css" | "canvas" | "offscreen"
+  layout = "mosaic-2x3",  // preset id or layout object
+  heroLayout = "now-playing",
+  maxTiles,               // optional cap; defaults to what the layout shows
   pollMs = 10000,
   onTiles,                // optional callback when tiles change
+  onStatus,               // optional callback with each fetch outcome
+  cacheKey,               // optional: persist tiles + cache covers under this key
+  hero,                   // optional now-playing tile {id, src}
+  palette = false,        // theme tiles from their cover colors
+  ambient = false,        // with palette: gradient page background
+  transition = "crossfade", // "crossfade" | "zoom" | "shift" | "none"
+  transitionMs = 700,
+  preload = true,         // decode new covers before swapping them in
+  overlay = "none",       // "none" | "caption" | "badge" | "hover"
+  parallax = true,        // pointer / tilt parallax
+  focusable = true,       // click a tile to view it full size
+  paused = false,         // stop polling
+  refreshKey,             // change to fetch immediately
+  pins,                   // optional { [cellIndex]: tile }
 }) {
   const [tiles, setTiles] = useState([]);     // [{id, src}]
+  const [palettes, setPalettes] = useState({}); // id -> { dominant, accent }
+  const [portrait, setPortrait] = useState(false);
   const prevRef = useRef([]);                 // last emitted tiles
+  const sentPalettesRef = useRef({});         // id -> palette last handed to onTiles
   const timerRef = useRef(null);
+  const rootRef = useRef(null);
+  const gridRef = useRef(null);
+  const cellRefs = useRef([]);
+  const [focused, setFocused] = useState(null); // tile shown full size
+  const returnRef = useRef(null);             // cell index to give keyboard focus back to
+  const parallaxOn = useParallax({ enabled: parallax });
+
+  // Read through a ref: a new onStatus callback shouldn't restart polling
+  const onStatusRef = useRef(onStatus);
+  onStatusRef.current = onStatus;
+
+  // How many tiles to ask the source for: enough for either layout
+  // (a hero layout's extra cell covers the hero album being among the recents)
+  const wanted =
+    maxTiles ??
+    Math.max(
+      layoutTileCount(resolveLayout(layout)),
+      hero !== undefined ? layoutTileCount(resolveLayout(heroLayout)) : 0
+    );
 
-  // normalize array sources into [{id, src}]
+  // Track orientation of the grid itself, not the window
+  useEffect(() => {
+    const el = rootRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setPortrait(height > width);
+    });
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // normalize array sources into [{id, src, ...metadata}]
   const normalizeArraySource = (arr) => {
     if (!Array.isArray(arr)) return [];
     return arr
       .map((v, i) =>
-        typeof v === "string" ? { id: v, src: v } : { id: v.id ?? String(i), src: v.src ?? "" }
+        typeof v === "string" ? { id: v, src: v } : { ...v, id: v.id ?? String(i), src: v.src ?? "" }
       )
       .filter((t) => t.id && t.src);
   };
 
+  // metadata counts too, so a replay of the same album refreshes its overlay
   const sameTiles = (a, b) =>
-    a.length === b.length && a.every((t, i) => t.id === b[i].id && t.src === b[i].src);
+    a.length === b.length &&
+    a.every(
+      (t, i) =>
+        t.id === b[i].id &&
+        t.src === b[i].src &&
+        t.playedAt === b[i].playedAt &&
+        t.nowPlaying === b[i].nowPlaying &&
+        t.track === b[i].track
+    );
 
   useEffect(() => {
     let stop = false;
 
-    const applyNext = (fresh) => {
-      // fill up to maxTiles using previous tiles (stable visual)
+    const applyNext = async (fresh) => {
+      // fill up to wanted using previous tiles (stable visual)
       const seen = new Set(fresh.map((t) => t.id));
-      let next = fresh.slice(0, maxTiles);
-      if (next.length < maxTiles && prevRef.current.length) {
+      let next = fresh.slice(0, wanted);
+      if (cacheKey) {
+        next = await cacheTiles(next);
+        if (stop) return;
+      }
+      if (next.length < wanted && prevRef.current.length) {
         for (const t of prevRef.current) {
-          if (next.length >= maxTiles) break;
+          if (next.length >= wanted) break;
           if (!seen.has(t.id)) {
             next.push(t);
             seen.add(t.id);
           }
         }
       }
-      if (!sameTiles(prevRef.current, next)) {
-        prevRef.current = next;
-        setTiles(next);
+      if (sameTiles(prevRef.current, next)) return;
+
+      // no black flash: wait until incoming covers are decoded
+      if (preload) {
+        const shown = new Set(prevRef.current.map((t) => t.src));
+        await preloadAll(next.filter((t) => !shown.has(t.src)).map((t) => t.src));
+        if (stop) return;
+      }
+      prevRef.current = next;
+      setTiles(next);
+      if (palette) {
+        const themed = withPalettes(next);
+        sentPalettesRef.current = Object.fromEntries(themed.map((t) => [t.id, t.palette]));
+        onTiles?.(themed);
+      } else {
         onTiles?.(next);
       }
+      if (cacheKey) saveTiles(cacheKey, next);
+    };
+
+    // Paint the last session's tiles while the first fetch is in flight
+    const restore = async () => {
+      if (!cacheKey || prevRef.current.length) return;
+      const saved = loadTiles(cacheKey).slice(0, wanted);
+      if (!saved.length) return;
+      const shown = await cacheTiles(saved);
+      if (stop || prevRef.current.length) return;
+      prevRef.current = shown;
+      setTiles(shown);
     };
 
     const clearTimer = () => {
@@ -74,111 +244,272 @@ export default function RecentGrid({
     const fetchOnce = async () => {
       // CASE 1: array source -> one-shot, no polling unless arrays change
       if (Array.isArray(source)) {
-        applyNext(normalizeArraySource(source).slice(0, maxTiles));
-        return null; // no retry
+        await applyNext(normalizeArraySource(source).slice(0, wanted));
+        return {}; // no retry
       }
 
       // CASE 2: function source -> call it and respect its backoff
       if (typeof source === "function") {
-        const { tiles: fresh = [], retryMs = null } = (await source()) || {};
-        applyNext(Array.isArray(fresh) ? fresh : []);
-        return retryMs; // allow custom backoff from the fetcher
+        const { tiles: fresh = [], retryMs = null, reason } = (await source({ take: wanted })) || {};
+        await applyNext(Array.isArray(fresh) ? fresh : []);
+        return { wait: retryMs, reason }; // allow custom backoff from the fetcher
       }
       
       // nothing to do
-      applyNext([]);
-      return null;
+      await applyNext([]);
+      return {};
     };
 
+    const report = (outcome) => onStatusRef.current?.({ at: Date.now(), ...outcome });
+
     const loop = async () => {
       try {
-        const wait = await fetchOnce();
+        const { wait = null, reason } = await fetchOnce();
         if (stop) return;
+        // a wait without a reason is the fetcher's own cadence, not trouble
+        report(reason ? { ok: false, retryMs: wait, reason } : { ok: true, retryMs: wait });
 
         // If source is array, don't poll repeatedly
         if (Array.isArray(source)) return;
 
         schedule(wait ?? pollMs);
-      } catch {
+      } catch (error) {
         if (stop) return;
+        report({ ok: false, retryMs: 30000, error });
         schedule(30000);
       }
     };
 
-    loop();
+    restore();
+    if (!paused) loop();
     return () => {
       stop = true;
       clearTimer();
     };
     // Re-run if these change
-  }, [source, pollMs, maxTiles, onTiles]);
+  }, [source, pollMs, wanted, onTiles, palette, preload, cacheKey, paused, refreshKey]);
+
+  // ---------- palettes ----------
+  const heroTile = hero?.src ? hero : null;
+  const heroId = heroTile?.id;
+  const heroSrc = heroTile?.src;
+
+  useEffect(() => {
+    if (!palette) return;
+    let stop = false;
+    for (const t of heroSrc ? [{ id: heroId, src: heroSrc }, ...tiles] : tiles) {
+      if (!t.src) continue;
+      getPalette(t.id, t.src).then((p) => {
+        if (stop || !p) return;
+        setPalettes((prev) => (prev[t.id] === p ? prev : { ...prev, [t.id]: p }));
+      });
+    }
+    return () => {
+      stop = true;
+    };
+  }, [palette, tiles, heroId, heroSrc]);
+
+  // Hand late-arriving palettes to onTiles consumers, once per shown tile
+  useEffect(() => {
+    if (!palette || !onTiles) return;
+    const shown = prevRef.current;
+    if (!shown.some((t) => palettes[t.id] && palettes[t.id] !== sentPalettesRef.current[t.id])) return;
+    const themed = withPalettes(shown);
+    sentPalettesRef.current = Object.fromEntries(themed.map((t) => [t.id, t.palette]));
+    onTiles(themed);
+  }, [palettes, palette, onTiles]);
 
   // ---------- render ----------
-  const slots = tiles.slice(0, maxTiles);
-  while (slots.length < maxTiles) {
-    slots.push({ id: `placeholder-${slots.length}`, src: null });
-  }
+  const active = resolveLayout(heroTile ? heroLayout : layout, { portrait });
+  const recent = useMemo(() => (heroTile ? tiles.filter((t) => t.id !== heroTile.id) : tiles), [heroTile, tiles]);
 
-  // Preserve your existing 2x3 layout
-  const [t0, t1, t2, t3, t4, t5] = slots.concat(Array(6).fill({ id: "ph", src: null })).slice(0, 6);
+  const placed = placeTiles(active, heroTile, recent, pins);
 
-  const Tile = ({ tile, biasX = 0, biasY = 0 }) => (
-    <div className="h-full w-full rounded-md overflow-hidden bg-black">
-      <AlbumTunnel
-        imageUrl={tile.src ?? null}
-        biasX={biasX}
-        biasY={biasY}
-        LAYERS={17}
-        ROT_STEP={Math.PI / 200}
-        GROWTH={1.1}
-        ALPHA0={1}
-        ALPHA_FALLOFF={1}
-        FRONT_FACTOR={0.25}
-        centerFront
-        direction={Math.random() < 0.5 ? -1 : 1}
-        {...(knobs || {})}
-      />
-    </div>
-  );
+  // crossfade/zoom animate inside a fixed slot; shift/none follow the album
+  const mode = prefersReducedMotion() ? "none" : transition;
+  const inPlace = mode === "crossfade" || mode === "zoom";
+  useFlip(gridRef, placed.map((p) => p.tile.id).join("|"), {
+    enabled: mode === "shift",
+    duration: transitionMs,
+  });
+
+  // ---------- focus ----------
+  // An entry in the browser history, so back (or Escape) returns to the grid
+  const openFocus = (tile, index) => {
+    if (!focusable || !tile.src) return;
+    returnRef.current = index;
+    if (!window.history.state?.tileFocus) window.history.pushState({ ...window.history.state, tileFocus: true }, "");
+    setFocused(tile);
+  };
+
+  const closeFocus = () => {
+    if (window.history.state?.tileFocus) window.history.back(); // popstate clears it
+    else setFocused(null);
+  };
+
+  const shown = placed.map((p) => p.tile).filter((t) => t.src);
+  const focusedTile = focused ? shown.find((t) => t.id === focused.id) ?? focused : null;
+
+  useEffect(() => {
+    if (!focused) return;
+    const onPop = () => {
+      if (!window.history.state?.tileFocus) setFocused(null);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [focused]);
+
+  // Hand keyboard focus back to the tile that was opened
+  useEffect(() => {
+    if (focused || returnRef.current == null) return;
+    cellRefs.current[returnRef.current]?.focus({ preventScroll: true });
+    returnRef.current = null;
+  }, [focused]);
+
+  // Escape closes, ←/→ step through the grid's covers. The handler reads the
+  // current tiles through a ref, so polls don't re-subscribe it.
+  const navRef = useRef(null);
+  navRef.current = { shown, placed, closeFocus };
+  useEffect(() => {
+    if (!focused) return;
+    const onKey = (e) => {
+      const { shown, placed, closeFocus } = navRef.current;
+      if (e.key === "Escape") closeFocus();
+      if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+      const i = shown.findIndex((t) => t.id === focused.id);
+      const next = shown[(i + (e.key === "ArrowRight" ? 1 : -1) + shown.length) % shown.length];
+      if (!next) return;
+      setFocused(next);
+      returnRef.current = placed.findIndex((p) => p.tile.id === next.id);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [focused]);
+
+  const onCellKey = (e, i, tile) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      openFocus(tile, i);
+    } else if (ARROWS[e.key]) {
+      e.preventDefault();
+      cellRefs.current[neighborCell(active.cells, i, ARROWS[e.key])]?.focus();
+    }
+  };
 
   const cssVars = { "--g": `${gap | 0}px` };
 
+  // Gaps take the lead cover's color; ambient mode paints a gradient behind everything
+  const lead = palette ? palettes[(heroTile ?? tiles[0])?.id] : null;
+  const second = palette ? palettes[tiles[heroTile ? 0 : 1]?.id] : null;
+  const gapColor = lead ? shade(lead.dominant, 0.25) : "#000";
+  const backdrop =
+    ambient && lead
+      ? `radial-gradient(circle at 25% 25%, ${rgba(lead.accent, 0.45)}, transparent 60%),
+         radial-gradient(circle at 75% 75%, ${rgba((second ?? lead).dominant, 0.45)}, transparent 60%),
+         ${shade(lead.dominant, 0.15)}`
+      : null;
+
+  // What the poster / video export redraws (lib/wallExport)
+  const wallLayout = heroTile ? heroLayout : layout;
+  const wallPalettes = palette ? palettes : null;
+  useEffect(
+    () =>
+      publishWall({
+        layout: wallLayout,
+        portrait,
+        hero: heroTile,
+        recent,
+        pins,
+        knobs,
+        gap,
+        gapColor,
+        palettes: wallPalettes,
+      }),
+    [wallLayout, portrait, heroTile, recent, pins, knobs, gap, gapColor, wallPalettes]
+  );
+
   return (
     <div
-      className={full ? "h-full w-full" : "rounded-2xl"}
-      style={{ ...cssVars, padding: full ? 0 : "var(--g)", backgroundColor: "#000", height: full ? "100%" : undefined }}
+      ref={rootRef}
+      className={full ? "relative h-full w-full" : "relative rounded-2xl"}
+      style={{
+        ...cssVars,
+        padding: full ? 0 : "var(--g)",
+        background: backdrop ?? "#000",
+        height: full ? "100%" : undefined,
+      }}
     >
-      <div className="h-full w-full">
+      <div
+        ref={gridRef}
+        className="grid h-full w-full min-h-0 min-w-0"
+        style={{
+          gridTemplateColumns: `repeat(${active.cols}, minmax(0, 1fr))`,
+          gridTemplateRows: `repeat(${active.rows}, minmax(0, 1fr))`,
+          gap: "var(--g)",
+          backgroundColor: backdrop ? "transparent" : gapColor,
+          transition: "background-color 1s",
+          padding: "var(--g)",
+          height: full ? "100%" : undefined,
+          boxSizing: "border-box",
+        }}
+      >
+        {placed.map(({ cell, tile }, i) => {
+          const renderTile = (t) => (
+            <Tile
+              tile={t}
+              knobs={knobs}
+              renderer={renderer}
+              overlay={overlay}
+              theme={palette ? tileTheme(palettes[t.id]) : undefined}
+              parallax={parallaxOn}
+            />
+          );
+          const opens = focusable && !!tile.src;
+          return (
+            <div
+              key={inPlace ? `cell-${i}` : tile.id}
+              ref={(el) => { cellRefs.current[i] = el; }}
+              data-flip-id={inPlace ? undefined : tile.id}
+              tabIndex={tile.src ? 0 : -1}
+              role={opens ? "button" : undefined}
+              aria-label={tile.album || (tile.src ? "Album" : "Empty tile")}
+              onClick={opens ? () => openFocus(tile, i) : undefined}
+              onKeyDown={(e) => onCellKey(e, i, tile)}
+              className={`min-h-0 min-w-0 rounded-md outline-none focus-visible:ring-2 focus-visible:ring-white/80 ${
+                opens ? "cursor-zoom-in" : ""
+              }`}
+              style={{
+                gridColumn: `${cell.col} / span ${cell.colSpan ?? 1}`,
+                gridRow: `${cell.row} / span ${cell.rowSpan ?? 1}`,
+              }}
+            >
+              {inPlace ? (
+                <TileTransition tile={tile} mode={mode} duration={transitionMs} renderTile={renderTile} />
+              ) : (
+                renderTile(tile)
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {focusedTile && (
         <div
-          className="grid h-full w-full min-h-0 min-w-0"
-          style={{
-            gridTemplateColumns: "1fr 1fr",
-            gridTemplateRows: "1fr",
-            gap: "var(--g)",
-            backgroundColor: "#000",
-            padding: "var(--g)",
-            height: full ? "100%" : undefined,
-            boxSizing: "border-box",
-          }}
+          role="dialog"
+          aria-modal="true"
+          aria-label={focusedTile.album || "Album"}
+          onClick={closeFocus}
+          className="absolute inset-0 z-20 cursor-zoom-out bg-black"
         >
-          {/* Left column */}
-          <div className="grid h-full min-h-0" style={{ gridTemplateRows: "1fr 1fr", gap: "var(--g)", backgroundColor: "#000" }}>
-            <div className="grid h-full min-h-0" style={{ gridTemplateColumns: "1fr 1fr", gap: "var(--g)", backgroundColor: "#000" }}>
-              <Tile key={t0?.id} tile={t0} biasX={0} biasY={0} />
-              <Tile key={t1?.id} tile={t1} biasX={0} biasY={0} />
-            </div>
-            <Tile key={t2?.id} tile={t2} biasX={0} biasY={0} />
-          </div>
-          {/* Right column */}
-          <div className="grid h-full min-h-0" style={{ gridTemplateRows: "1fr 1fr", gap: "var(--g)", backgroundColor: "#000" }}>
-            <Tile key={t3?.id} tile={t3} biasX={0} biasY={0} />
-            <div className="grid h-full min-h-0" style={{ gridTemplateColumns: "1fr 1fr", gap: "var(--g)", backgroundColor: "#000" }}>
-              <Tile key={t4?.id} tile={t4} biasX={0} biasY={0} />
-              <Tile key={t5?.id} tile={t5} biasX={0} biasY={0} />
-            </div>
-          </div>
+          <Tile
+            tile={focusedTile}
+            knobs={{ ...knobs, ...FOCUS_SHAPE }}
+            renderer={renderer}
+            overlay={overlay === "none" ? "caption" : overlay}
+            theme={palette ? tileTheme(palettes[focusedTile.id]) : undefined}
+            parallax={parallaxOn}
+          />
         </div>
-      </div>
+      )}
     </div>
   );
 }
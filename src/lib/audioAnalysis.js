@@ -0,0 +1,147 @@
+// =====================
+// Audio analysis (no Web Audio dependency)
+// =====================
+// Turns magnitude spectra into the features that drive the tunnels:
+// band energies (bass / mid / high), overall level and onsets. Everything
+// here works on plain Float32Arrays, so it runs the same on AnalyserNode
+// output in the browser and on synthetic buffers in a test
+// (audioAnalysis.test.js runs sines and click trains through analyzeSamples).
+
+export const DEFAULT_BANDS = {
+  bass: [20, 150],
+  mid: [150, 2000],
+  high: [2000, 12000],
+};
+
+/** Hann-windowed magnitude spectrum (bins 0..n/2-1) of a power-of-two frame. */
+export function fftMagnitudes(frame) {
+  const n = frame.length;
+  if (n & (n - 1)) throw new Error("fftMagnitudes: frame length must be a power of two");
+  const re = new Float32Array(n);
+  const im = new Float32Array(n);
+  for (let i = 0; i < n; i++) re[i] = frame[i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+
+  // bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) [re[i], re[j]] = [re[j], re[i]];
+  }
+  // iterative radix-2 butterflies
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  const mags = new Float32Array(n / 2);
+  for (let i = 0; i < n / 2; i++) mags[i] = (Math.hypot(re[i], im[i]) * 2) / n;
+  return mags;
+}
+
+/** RMS magnitude per band; bins are sampleRate / (2 * mags.length) Hz wide. */
+export function bandEnergies(mags, sampleRate, bands = DEFAULT_BANDS) {
+  const binHz = sampleRate / (2 * mags.length);
+  const out = {};
+  for (const [name, [lo, hi]] of Object.entries(bands)) {
+    const from = Math.max(1, Math.floor(lo / binHz));
+    const to = Math.min(mags.length, Math.ceil(hi / binHz));
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += mags[i] * mags[i];
+    out[name] = to > from ? Math.sqrt(sum / (to - from)) : 0;
+  }
+  return out;
+}
+
+/**
+ * Follows a slowly decaying peak and returns value / peak (0..1), so quiet
+ * rooms and loud ones drive the same range. `floor` keeps silence silent.
+ */
+export function createAutoGain({ release = 0.995, floor = 1e-4 } = {}) {
+  let peak = floor;
+  return (value) => {
+    peak = Math.max(value, peak * release, floor);
+    return Math.min(1, value / peak);
+  };
+}
+
+/**
+ * Spectral-flux onset detector: an onset is flux above mean + threshold·std
+ * of the recent history, at most once per `minGap` frames.
+ */
+export function createOnsetDetector({ history = 43, threshold = 2, minGap = 8 } = {}) {
+  const past = [];
+  let sinceLast = minGap;
+  return (flux, k = threshold) => {
+    sinceLast++;
+    let onset = false;
+    if (past.length >= 8) {
+      const mean = past.reduce((a, b) => a + b, 0) / past.length;
+      const std = Math.sqrt(past.reduce((a, b) => a + (b - mean) ** 2, 0) / past.length);
+      onset = flux > mean + k * std && flux > 1e-6 && sinceLast >= minGap;
+    }
+    if (onset) sinceLast = 0;
+    past.push(flux);
+    if (past.length > history) past.shift();
+    return onset;
+  };
+}
+
+/**
+ * Stateful per-frame analyzer. frame(mags) -> { bass, mid, high, level, onset }
+ * with bands in 0..1 (auto-gained) scaled by sensitivity.
+ * sensitivity: { bass, high, onset } multipliers, 1 = default; a higher
+ * onset sensitivity means a lower detection threshold.
+ */
+export function createAudioAnalyzer({ sampleRate, bands = DEFAULT_BANDS, autoGain = true, sensitivity = {} } = {}) {
+  let opts = { autoGain, sensitivity: { bass: 1, high: 1, onset: 1, ...sensitivity } };
+  const gains = Object.fromEntries(Object.keys(bands).map((name) => [name, createAutoGain()]));
+  const onsets = createOnsetDetector();
+  let prev = null;
+
+  return {
+    setOptions(next) {
+      opts = { ...opts, ...next, sensitivity: { ...opts.sensitivity, ...next.sensitivity } };
+    },
+    frame(mags) {
+      const raw = bandEnergies(mags, sampleRate, bands);
+      const out = {};
+      for (const name of Object.keys(bands)) {
+        out[name] = opts.autoGain ? gains[name](raw[name]) : Math.min(1, raw[name] * 50);
+      }
+      out.bass = Math.min(1, (out.bass ?? 0) * opts.sensitivity.bass);
+      out.high = Math.min(1, (out.high ?? 0) * opts.sensitivity.high);
+      out.level = Math.max(...Object.values(out));
+
+      // spectral flux: how much energy appeared since the last frame
+      let flux = 0;
+      if (prev) for (let i = 0; i < mags.length; i++) flux += Math.max(0, mags[i] - prev[i]);
+      prev = Float32Array.from(mags);
+      out.onset = onsets(flux, 2 / Math.max(0.1, opts.sensitivity.onset));
+      return out;
+    },
+  };
+}
+
+/** Offline: run the analyzer over a mono buffer, one result per hop. */
+export function analyzeSamples(samples, sampleRate, { fftSize = 2048, hop = fftSize / 2, ...opts } = {}) {
+  const analyzer = createAudioAnalyzer({ sampleRate, ...opts });
+  const frames = [];
+  for (let start = 0; start + fftSize <= samples.length; start += hop) {
+    frames.push(analyzer.frame(fftMagnitudes(samples.subarray(start, start + fftSize))));
+  }
+  return frames;
+}
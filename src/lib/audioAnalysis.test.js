@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSamples, fftMagnitudes } from "./audioAnalysis";
+
+const RATE = 44100;
+const FFT = 2048;
+
+const sine = (hz, seconds = 2) =>
+  Float32Array.from({ length: RATE * seconds }, (_, i) => Math.sin((2 * Math.PI * hz * i) / RATE));
+
+// Short decaying clicks at the given times (s) in an otherwise silent buffer
+function clicks(times, seconds) {
+  const out = new Float32Array(RATE * seconds);
+  for (const t of times) {
+    const at = Math.round(t * RATE);
+    for (let k = 0; k < 64; k++) out[at + k] = 1 - k / 64;
+  }
+  return out;
+}
+
+test("the spectrum of a sine peaks in its bin", () => {
+  const frame = sine(1000).subarray(0, FFT);
+  const mags = fftMagnitudes(frame);
+  const peak = mags.indexOf(Math.max(...mags));
+  assert.equal(peak, Math.round((1000 * FFT) / RATE));
+  assert.throws(() => fftMagnitudes(new Float32Array(1000)));
+});
+
+test("a bass sine drives bass, not highs", () => {
+  const frames = analyzeSamples(sine(60), RATE);
+  assert.ok(frames.length > 40);
+  assert.ok(frames.every((f) => f.bass > 0.9 && f.high < 0.05));
+});
+
+test("a high sine drives highs, not bass", () => {
+  const frames = analyzeSamples(sine(5000), RATE);
+  assert.ok(frames.every((f) => f.high > 0.9 && f.bass < 0.05));
+});
+
+test("steady tones and silence have no onsets", () => {
+  assert.equal(analyzeSamples(sine(60), RATE).filter((f) => f.onset).length, 0);
+  assert.equal(analyzeSamples(new Float32Array(RATE * 2), RATE).filter((f) => f.onset).length, 0);
+});
+
+test("each click in an impulse train is one onset, in the frame that holds it", () => {
+  const times = [1, 1.5, 2, 2.5, 3, 3.5];
+  const frames = analyzeSamples(clicks(times, 4), RATE, { fftSize: FFT });
+  const onsetAt = frames.flatMap((f, i) => (f.onset ? [(i * FFT) / 2 / RATE] : []));
+  assert.equal(onsetAt.length, times.length);
+  onsetAt.forEach((start, i) => {
+    assert.ok(start <= times[i] && times[i] < start + FFT / RATE, `onset ${i} at ${start}s`);
+  });
+});
+
+test("a lower onset sensitivity ignores quieter clicks", () => {
+  const quiet = clicks([1, 1.5, 2, 2.5], 3).map((v, i) => (i > RATE * 1.25 ? v * 0.2 : v));
+  const keen = analyzeSamples(quiet, RATE).filter((f) => f.onset).length;
+  const dull = analyzeSamples(quiet, RATE, { sensitivity: { onset: 0.25 } }).filter((f) => f.onset).length;
+  assert.ok(dull < keen, `${dull} < ${keen}`);
+});
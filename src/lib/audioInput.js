@@ -0,0 +1,159 @@
+// =====================
+// Audio input -> tunnel drive
+// =====================
+// Listens to the microphone or a shared tab's audio, analyses it on the
+// shared frame clock (lib/audioAnalysis) and turns the features into the
+// drive every tunnel adds on top of its knobs:
+//   bass   -> pulse (scale of every layer) and growth (the tunnel deepens)
+//   highs  -> extra spin, accumulated
+//   onsets -> a one-layer zoom-through each, eased in
+// One input per page; the drive is NO_DRIVE while nothing is listening.
+import { subscribeFrame } from "./frameClock";
+import { createAudioAnalyzer } from "./audioAnalysis";
+import { NO_DRIVE } from "./tunnel";
+
+const FFT_SIZE = 2048;
+const PULSE = 0.08;    // extra scale at full bass
+const GROWTH = 0.03;   // extra per-layer growth at full bass
+const SPIN = 1.2;      // extra rad/s at full highs
+const ZOOM_EASE = 6;   // 1/s: how quickly a zoom-through catches up
+
+let drive = NO_DRIVE;
+let features = null; // last { bass, mid, high, level, onset }
+let active = null;   // { kind, stop, setOptions }
+let generation = 0;  // bumped by every start/stop; a capture from an older one is dropped
+const listeners = new Set();
+
+const notify = (error = null) => {
+  for (const fn of listeners) fn({ kind: active?.kind ?? null, error });
+};
+
+/** Current drive for tunnelPose(); cheap, read every frame. */
+export const audioDrive = () => drive;
+
+/** Latest analysis frame (for level meters), or null when idle. */
+export const audioFeatures = () => features;
+
+/** "mic" | "tab" | null */
+export const audioSource = () => active?.kind ?? null;
+
+/** fn({ kind, error }) on start, stop and failure. Returns an unsubscribe function. */
+export function subscribeAudio(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function supportsAudioInput(kind) {
+  if (typeof window === "undefined" || !(window.AudioContext || window.webkitAudioContext)) return false;
+  const media = navigator.mediaDevices;
+  return kind === "tab" ? typeof media?.getDisplayMedia === "function" : typeof media?.getUserMedia === "function";
+}
+
+async function capture(kind) {
+  if (kind !== "tab") {
+    // raw signal: the voice-call processing flattens exactly what we want to see
+    return navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    });
+  }
+  // browsers only offer tab audio alongside video; the video is dropped at once
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+  for (const track of stream.getVideoTracks()) {
+    track.stop();
+    stream.removeTrack(track);
+  }
+  if (!stream.getAudioTracks().length) {
+    const err = new Error('No audio was shared; pick a tab and tick "Share tab audio"');
+    err.code = "no-audio";
+    throw err;
+  }
+  return stream;
+}
+
+/**
+ * Start listening ("mic" or "tab"); replaces any running input. Must be
+ * called from a user gesture. options: { sensitivity: { bass, high, onset },
+ * autoGain } as accepted by createAudioAnalyzer. If another start or a stop
+ * comes in while the permission prompt is open, this one's capture is
+ * released as soon as it arrives.
+ */
+export async function startAudioInput(kind, options = {}) {
+  stopAudioInput();
+  const gen = ++generation;
+  // created before the permission prompt so it still counts as the gesture
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  let stream;
+  try {
+    stream = await capture(kind);
+  } catch (err) {
+    ctx.close();
+    if (gen !== generation) return;
+    notify(err);
+    throw err;
+  }
+  await ctx.resume().catch(() => {});
+  if (gen !== generation) {
+    for (const track of stream.getTracks()) track.stop();
+    ctx.close();
+    return;
+  }
+
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  analyser.smoothingTimeConstant = 0.2; // little smoothing, or onsets blur away
+  ctx.createMediaStreamSource(stream).connect(analyser);
+
+  const analyzer = createAudioAnalyzer({ sampleRate: ctx.sampleRate, ...options });
+  let onsets = options.sensitivity?.onset ?? 1;
+  const db = new Float32Array(analyser.frequencyBinCount);
+  const mags = new Float32Array(analyser.frequencyBinCount);
+  let spin = drive.spin;
+  let zoom = drive.zoom;
+  let zoomTarget = Math.round(zoom);
+
+  const unsubscribe = subscribeFrame((t, dt) => {
+    analyser.getFloatFrequencyData(db);
+    for (let i = 0; i < db.length; i++) mags[i] = Number.isFinite(db[i]) ? 10 ** (db[i] / 20) : 0;
+    const f = analyzer.frame(mags);
+    if (f.onset && onsets > 0) zoomTarget += 1;
+    spin += f.high * SPIN * dt;
+    zoom += (zoomTarget - zoom) * Math.min(1, dt * ZOOM_EASE);
+    features = f;
+    drive = { pulse: f.bass * PULSE, growth: f.bass * GROWTH, spin, zoom };
+  });
+
+  const stop = () => {
+    unsubscribe();
+    for (const track of stream.getTracks()) track.stop();
+    ctx.close();
+    // keep the accumulated offsets so the tunnels don't jump back
+    drive = { ...NO_DRIVE, spin, zoom: zoomTarget };
+    features = null;
+  };
+
+  active = {
+    kind,
+    stop,
+    setOptions(next) {
+      analyzer.setOptions(next);
+      onsets = next.sensitivity?.onset ?? onsets;
+    },
+  };
+  // the user can end sharing from the browser's own UI
+  for (const track of stream.getAudioTracks()) {
+    track.addEventListener("ended", () => active?.stop === stop && stopAudioInput());
+  }
+  notify();
+}
+
+export function stopAudioInput() {
+  generation++;
+  if (!active) return;
+  active.stop();
+  active = null;
+  notify();
+}
+
+export function setAudioOptions(options) {
+  active?.setOptions(options);
+}
@@ -0,0 +1,84 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// =====================
+// Browser fakes: an AudioContext and capture calls we resolve by hand
+// =====================
+const contexts = [];
+class FakeAudioContext {
+  constructor() {
+    this.sampleRate = 44100;
+    this.closed = false;
+    contexts.push(this);
+  }
+  resume() { return Promise.resolve(); }
+  close() { this.closed = true; return Promise.resolve(); }
+  createAnalyser() { return { frequencyBinCount: 1024, getFloatFrequencyData() {} }; }
+  createMediaStreamSource() { return { connect() {} }; }
+}
+
+function fakeStream() {
+  const track = { stopped: false, stop() { this.stopped = true; }, addEventListener() {} };
+  return { track, getTracks: () => [track], getAudioTracks: () => [track], getVideoTracks: () => [] };
+}
+
+let pending = []; // resolvers for getUserMedia / getDisplayMedia calls, in order
+const ask = () => new Promise((resolve, reject) => pending.push({ resolve, reject }));
+
+globalThis.window = { AudioContext: FakeAudioContext };
+Object.defineProperty(globalThis, "navigator", {
+  value: { mediaDevices: { getUserMedia: ask, getDisplayMedia: ask } },
+  configurable: true,
+});
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+
+const { startAudioInput, stopAudioInput, audioSource } = await import("./audioInput");
+
+beforeEach(() => {
+  stopAudioInput();
+  contexts.length = 0;
+  pending = [];
+});
+
+const openContexts = () => contexts.filter((c) => !c.closed).length;
+
+test("a second start during the permission prompt releases the first capture", async () => {
+  const mic = startAudioInput("mic");
+  const tab = startAudioInput("tab");
+  const micStream = fakeStream();
+  const tabStream = fakeStream();
+  pending[1].resolve(tabStream);
+  await tab;
+  pending[0].resolve(micStream); // the mic prompt is answered last
+  await mic;
+
+  assert.equal(audioSource(), "tab");
+  assert.equal(micStream.track.stopped, true);
+  assert.equal(tabStream.track.stopped, false);
+  assert.equal(openContexts(), 1);
+});
+
+test("stopping during the permission prompt releases the capture", async () => {
+  const mic = startAudioInput("mic");
+  stopAudioInput();
+  const stream = fakeStream();
+  pending[0].resolve(stream);
+  await mic;
+
+  assert.equal(audioSource(), null);
+  assert.equal(stream.track.stopped, true);
+  assert.equal(openContexts(), 0);
+});
+
+test("a denied prompt for a superseded start is not reported", async () => {
+  const mic = startAudioInput("mic");
+  const tab = startAudioInput("tab");
+  pending[1].resolve(fakeStream());
+  await tab;
+  pending[0].reject(new Error("Permission denied"));
+  await mic; // resolves quietly
+
+  assert.equal(audioSource(), "tab");
+  assert.equal(openContexts(), 1);
+});
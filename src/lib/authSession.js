@@ -0,0 +1,91 @@
+// =====================
+// Cross-tab auth session
+// =====================
+// One token per origin, kept in localStorage and mirrored into every open tab:
+// - changes (refresh, logout) are broadcast over BroadcastChannel, or picked
+//   up from `storage` events where BroadcastChannel is missing
+// - refreshes run under a Web Locks lock, so only one tab talks to the token
+//   endpoint; tabs queued behind it reuse the token it stored instead of
+//   spending the (possibly rotated) refresh_token again
+import { store } from "./store";
+
+export const isTokenFresh = (t, skewMs = 60_000) =>
+  !!(t?.access_token && t?.expires_at && Date.now() < t.expires_at - skewMs);
+
+const sameToken = (a, b) =>
+  a?.access_token === b?.access_token &&
+  a?.refresh_token === b?.refresh_token &&
+  a?.expires_at === b?.expires_at;
+
+/**
+ * @param {object} opts
+ * @param {string} opts.key  localStorage key (also the channel / lock name prefix)
+ * @param {(token: object) => Promise<object>} opts.refresh  exchange token.refresh_token for a new token
+ */
+export function createAuthSession({ key, refresh }) {
+  const listeners = new Set();
+  const lockName = `${key}:refresh`;
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(key) : null;
+  let current = store.get(key);
+  let pending = null;
+
+  const emit = (token) => {
+    if (sameToken(current, token) && !!current === !!token) return;
+    current = token;
+    for (const fn of listeners) fn(token);
+  };
+
+  const write = (token) => {
+    if (token) store.set(key, token);
+    else store.del(key);
+    emit(token);
+    channel?.postMessage({ type: "token", token });
+  };
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data?.type === "token") emit(data.token ?? null);
+    };
+  } else if (typeof window !== "undefined") {
+    window.addEventListener("storage", (e) => {
+      if (e.key === key || e.key === null) emit(store.get(key));
+    });
+  }
+
+  async function refreshLocked(stale) {
+    const latest = store.get(key);
+    if (!latest?.refresh_token) return null;
+    // Another tab refreshed while we waited for the lock
+    if (!sameToken(latest, stale) && isTokenFresh(latest)) {
+      emit(latest);
+      return latest;
+    }
+    const next = await refresh(latest);
+    write(next);
+    return next;
+  }
+
+  return {
+    get: () => current,
+    set: (token) => write(token),
+    /** Logout: clears the token in every tab. */
+    clear: () => write(null),
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    /**
+     * Refresh once across all tabs. Concurrent callers in this tab share the
+     * same promise; rejects if the token endpoint does.
+     */
+    refresh(stale = current) {
+      if (pending) return pending;
+      const run = () => refreshLocked(stale);
+      const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+      pending = (locks?.request ? locks.request(lockName, run) : run()).finally(() => {
+        pending = null;
+      });
+      return pending;
+    },
+  };
+}
@@ -0,0 +1,72 @@
+// =====================
+// Color helpers + palette quantization (pure, usable in workers)
+// =====================
+
+const clamp255 = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+export const toHex = ([r, g, b]) =>
+  "#" + [r, g, b].map((v) => clamp255(v).toString(16).padStart(2, "0")).join("");
+
+export function fromHex(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!m) return [0, 0, 0];
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/** Scale a color toward black (f < 1) or white-ish (f > 1). */
+export const shade = (hex, f) => toHex(fromHex(hex).map((v) => v * f));
+
+export const rgba = (hex, a) => {
+  const [r, g, b] = fromHex(hex);
+  return `rgba(${r},${g},${b},${a})`;
+};
+
+// Tunnel colors derived from a cover palette (defaults stay black)
+export const tileTheme = (p) =>
+  p ? { background: shade(p.dominant, 0.2), shadowColor: rgba(shade(p.dominant, 0.1), 0.8) } : {};
+
+function saturation([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return max === 0 ? 0 : (max - min) / max;
+}
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+/**
+ * Dominant + accent colors from RGBA pixel data (e.g. a 32x32 thumbnail).
+ * Colors are bucketed to 4 bits per channel; dominant is the fullest bucket,
+ * accent the most vivid well-populated bucket that differs from it.
+ * Returns { dominant, accent } as #rrggbb.
+ */
+export function paletteFromPixels(data) {
+  const buckets = new Map(); // key -> { n, r, g, b }
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bin = buckets.get(key) || { n: 0, r: 0, g: 0, b: 0 };
+    bin.n++; bin.r += r; bin.g += g; bin.b += b;
+    buckets.set(key, bin);
+  }
+  if (!buckets.size) return { dominant: "#000000", accent: "#000000" };
+
+  const bins = Array.from(buckets.values())
+    .map((x) => ({ n: x.n, rgb: [x.r / x.n, x.g / x.n, x.b / x.n] }))
+    .sort((a, b) => b.n - a.n);
+
+  const dominant = bins[0].rgb;
+  const minCount = bins[0].n * 0.05;
+  let accent = null;
+  let best = -1;
+  for (const bin of bins) {
+    if (bin.n < minCount || distance(bin.rgb, dominant) < 60) continue;
+    const score = saturation(bin.rgb) * Math.log(1 + bin.n);
+    if (score > best) {
+      best = score;
+      accent = bin.rgb;
+    }
+  }
+  return { dominant: toHex(dominant), accent: toHex(accent || dominant) };
+}
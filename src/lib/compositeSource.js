@@ -0,0 +1,132 @@
+// =====================
+// Composite source: several providers, one grid
+// =====================
+// Wraps fetchers that follow the RecentGrid contract ({ take }) =>
+// { tiles, retryMs? } into one fetcher with the same contract:
+// - each provider keeps its own schedule: a provider's retryMs or failure
+//   only parks that provider; its last tiles stay in the mix meanwhile
+// - tiles are merged newest-first by playedAt (now-playing first), then
+//   tiles without a timestamp by rank
+// - duplicates across services collapse on normalized artist + album; the
+//   higher-priority provider's tile wins, keeping the newest play time
+// - weight: each provider's share of the slots when they compete
+// - every tile carries `service`
+// Library-only: nothing in the app builds one yet (see README).
+import { toMs } from "./format";
+
+const FAIL_BASE_MS = 30_000;
+const FAIL_MAX_MS = 5 * 60_000;
+
+/** "The Beatles" / "Abbey Road (Remastered 2019)" -> "beatles|abbey road". */
+export function normalizeName(s) {
+  return (s || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")                    // diacritics
+    .toLowerCase()
+    .replace(/[([][^)\]]*[)\]]/g, " ")         // (Deluxe Edition), [Remastered]
+    .replace(/\s+-\s+.*(remaster|edition|version|deluxe|expanded|anniversary).*$/, " ")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .replace(/^the /, "");
+}
+
+/** Cross-service identity of a tile; falls back to its id without metadata. */
+export function albumKey(tile) {
+  const artist = normalizeName(tile.artists?.[0]);
+  const album = normalizeName(tile.album);
+  return album ? `${artist}|${album}` : `id:${tile.id}`;
+}
+
+/**
+ * @param {Array<{ service: string, source: Function, priority?: number, weight?: number }>} providers
+ * @param {object} [opts]
+ * @param {() => number} [opts.now]
+ * @returns {({ take }) => Promise<{ tiles, retryMs? }>}
+ */
+export function createCompositeSource(providers, { now = Date.now } = {}) {
+  const state = providers.map((p) => ({
+    service: p.service,
+    source: p.source,
+    priority: p.priority ?? 0,
+    weight: Math.max(0, p.weight ?? 1),
+    tiles: [],     // last good tiles
+    nextAt: 0,     // don't call before this
+    reason: null,  // why it is waiting
+    failures: 0,
+  }));
+
+  async function poll(s, take) {
+    try {
+      const { tiles = [], retryMs = null, reason = null } = (await s.source({ take })) || {};
+      s.failures = 0;
+      // a backoff usually comes with no tiles: keep showing the last ones
+      if (retryMs == null || tiles.length) s.tiles = tiles.map((t) => ({ ...t, service: s.service }));
+      s.nextAt = retryMs != null ? now() + retryMs : 0;
+      s.reason = reason;
+    } catch {
+      s.failures++;
+      s.reason = "unavailable";
+      s.nextAt = now() + Math.min(FAIL_MAX_MS, FAIL_BASE_MS * 2 ** (s.failures - 1));
+    }
+  }
+
+  return async ({ take = 6 } = {}) => {
+    const t = now();
+    await Promise.all(state.filter((s) => s.nextAt <= t).map((s) => poll(s, take)));
+
+    // Collapse duplicates: best tile per album key
+    const byKey = new Map(); // key -> { tile, provider, ms, rank }
+    for (const s of state) {
+      s.tiles.forEach((tile, rank) => {
+        const key = albumKey(tile);
+        const ms = tile.nowPlaying ? Infinity : toMs(tile.playedAt);
+        const prev = byKey.get(key);
+        if (!prev) {
+          byKey.set(key, { tile, provider: s, ms, rank });
+          return;
+        }
+        const newest =
+          (ms ?? -1) > (prev.ms ?? -1) ? { ms, playedAt: tile.playedAt } : { ms: prev.ms, playedAt: prev.tile.playedAt };
+        const winner = s.priority > prev.provider.priority ? { tile, provider: s, rank } : prev;
+        byKey.set(key, {
+          ...winner,
+          tile: { ...winner.tile, playedAt: newest.playedAt, nowPlaying: !!(tile.nowPlaying || prev.tile.nowPlaying) },
+          ms: newest.ms,
+        });
+      });
+    }
+
+    // Newest first; untimed tiles after, by rank then priority
+    const ordered = [...byKey.values()].sort((a, b) => {
+      const am = a.ms ?? -Infinity;
+      const bm = b.ms ?? -Infinity;
+      if (am !== bm) return bm > am ? 1 : -1;
+      return a.rank - b.rank || b.provider.priority - a.provider.priority;
+    });
+
+    // Weighted shares: fill each provider's quota in order, then top up
+    const totalWeight = state.reduce((sum, s) => sum + s.weight, 0) || 1;
+    const quota = new Map(state.map((s) => [s, Math.ceil((take * s.weight) / totalWeight)]));
+    const picked = new Set();
+    for (const e of ordered) {
+      if (picked.size >= take) break;
+      if (quota.get(e.provider) > 0) {
+        quota.set(e.provider, quota.get(e.provider) - 1);
+        picked.add(e);
+      }
+    }
+    for (const e of ordered) {
+      if (picked.size >= take) break;
+      picked.add(e);
+    }
+    const tiles = ordered.filter((e) => picked.has(e)).map((e) => e.tile);
+
+    // Only ask the grid to wait when every provider is parked, for the
+    // reason of the one that comes back first
+    const waits = state.map((s) => s.nextAt - now());
+    if (!waits.every((w) => w > 0)) return { tiles, retryMs: undefined };
+    const first = waits.indexOf(Math.min(...waits));
+    return { tiles, retryMs: waits[first], reason: state[first].reason ?? undefined };
+  };
+}
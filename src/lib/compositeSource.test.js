@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCompositeSource, albumKey } from "./compositeSource";
+
+const tile = (id, album, artist, playedAt, extra = {}) => ({ id, src: `${id}.jpg`, album, artists: [artist], playedAt, ...extra });
+
+// A fetcher replaying scripted results; counts its calls
+function scripted(...results) {
+  const fn = async () => {
+    fn.calls++;
+    const next = results.length > 1 ? results.shift() : results[0];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+test("album keys ignore case, 'The', diacritics and edition suffixes", () => {
+  assert.equal(
+    albumKey(tile("a", "Abbey Road (Remastered 2019)", "The Beatles")),
+    albumKey(tile("b", "abbey road", "Beatles"))
+  );
+  assert.equal(albumKey(tile("c", "Café Tacvba", "Café Tacvba")), albumKey(tile("d", "Cafe Tacvba", "Cafe Tacvba")));
+  assert.equal(albumKey({ id: "x" }), "id:x");
+});
+
+test("duplicates collapse to the higher-priority tile with the newest play", async () => {
+  const source = createCompositeSource([
+    { service: "low", source: scripted({ tiles: [tile("l1", "Abbey Road", "The Beatles", 3000)] }) },
+    { service: "high", priority: 1, source: scripted({ tiles: [tile("h1", "Abbey Road (Remastered)", "Beatles", 1000)] }) },
+  ]);
+  const { tiles } = await source({ take: 6 });
+  assert.equal(tiles.length, 1);
+  assert.equal(tiles[0].id, "h1");
+  assert.equal(tiles[0].service, "high");
+  assert.equal(tiles[0].playedAt, 3000);
+});
+
+test("tiles are merged newest first with now playing on top, untimed last", async () => {
+  const source = createCompositeSource([
+    { service: "a", source: scripted({ tiles: [tile("a1", "One", "X", 1000), tile("a2", "Two", "X")] }) },
+    { service: "b", source: scripted({ tiles: [tile("b1", "Three", "Y", undefined, { nowPlaying: true }), tile("b2", "Four", "Y", 2000)] }) },
+  ]);
+  const { tiles } = await source({ take: 6 });
+  assert.deepEqual(tiles.map((t) => t.id), ["b1", "b2", "a1", "a2"]);
+});
+
+test("weights set each provider's share, and spare slots are topped up", async () => {
+  const many = (prefix, start) => ({
+    tiles: Array.from({ length: 6 }, (_, i) => tile(`${prefix}${i}`, `${prefix} album ${i}`, prefix, start - i)),
+  });
+  const source = createCompositeSource([
+    { service: "newer", weight: 2, source: scripted(many("n", 10_000)) },
+    { service: "older", weight: 1, source: scripted(many("o", 5_000)) },
+  ]);
+  const { tiles } = await source({ take: 3 });
+  assert.deepEqual(tiles.map((t) => t.service), ["newer", "newer", "older"]);
+
+  const sparse = createCompositeSource([
+    { service: "a", weight: 1, source: scripted(many("a", 10_000)) },
+    { service: "b", weight: 1, source: scripted({ tiles: [] }) },
+  ]);
+  assert.equal((await sparse({ take: 4 })).tiles.length, 4);
+});
+
+test("a backoff or failure parks only that provider and keeps its last tiles", async () => {
+  let now = 0;
+  const limited = scripted({ tiles: [tile("l1", "Kept", "L", 500)] }, { tiles: [], retryMs: 10_000 });
+  const failing = scripted({ tiles: [tile("f1", "Also kept", "F", 400)] }, new Error("down"));
+  const healthy = scripted({ tiles: [tile("h1", "Fresh", "H", 900)] });
+  const source = createCompositeSource(
+    [
+      { service: "limited", source: limited },
+      { service: "failing", source: failing },
+      { service: "healthy", source: healthy },
+    ],
+    { now: () => now }
+  );
+
+  await source({ take: 6 });
+  const second = await source({ take: 6 }); // limited backs off, failing throws
+  assert.deepEqual(second.tiles.map((t) => t.id).sort(), ["f1", "h1", "l1"]);
+  assert.equal(second.retryMs, undefined); // healthy is still live
+
+  now = 5_000;
+  await source({ take: 6 });
+  assert.deepEqual([limited.calls, failing.calls, healthy.calls], [2, 2, 3]);
+
+  now = 10_000; // limited's wait is over; failing waits 30s
+  await source({ take: 6 });
+  assert.deepEqual([limited.calls, failing.calls], [3, 2]);
+
+  now = 30_000;
+  await source({ take: 6 });
+  assert.equal(failing.calls, 3); // failed again: next wait doubles to 60s
+  now = 80_000;
+  await source({ take: 6 });
+  assert.equal(failing.calls, 3);
+});
+
+test("retryMs is returned only when every provider is waiting", async () => {
+  const source = createCompositeSource(
+    [
+      { service: "a", source: scripted({ tiles: [], retryMs: 20_000, reason: "unavailable" }) },
+      { service: "b", source: scripted({ tiles: [], retryMs: 8_000, reason: "rate-limit" }) },
+    ],
+    { now: () => 0 }
+  );
+  const { retryMs, reason } = await source({ take: 6 });
+  assert.equal(retryMs, 8_000);
+  assert.equal(reason, "rate-limit");
+});
@@ -0,0 +1,299 @@
+// =====================
+// Embedded cover art extraction (ID3v2 / FLAC / MP4), browser-side
+// =====================
+// Every parser takes a `read(offset, length) => Promise<Uint8Array>` so files
+// are only partially loaded (tags live at the start, or in `moov` for MP4).
+// Result shape: { album, artist, picture: { mime, data } | null } or null
+// when the format isn't recognised.
+
+const FRONT_COVER = 3;
+
+// ---------- byte helpers ----------
+const ascii = (b, start, len) => String.fromCharCode(...b.subarray(start, start + len));
+const u32be = (b, o) => ((b[o] << 24) >>> 0) + (b[o + 1] << 16) + (b[o + 2] << 8) + b[o + 3];
+const u32le = (b, o) => ((b[o + 3] << 24) >>> 0) + (b[o + 2] << 16) + (b[o + 1] << 8) + b[o];
+const u24be = (b, o) => (b[o] << 16) + (b[o + 1] << 8) + b[o + 2];
+const synchsafe = (b, o) => (b[o] << 21) | (b[o + 1] << 14) | (b[o + 2] << 7) | b[o + 3];
+
+const utf8 = new TextDecoder("utf-8");
+const latin1 = new TextDecoder("latin1");
+
+function sniffMime(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return "image/jpeg";
+  if (data[0] === 0x89 && data[1] === 0x50) return "image/png";
+  if (data[0] === 0x47 && data[1] === 0x49) return "image/gif";
+  return "";
+}
+
+/** Wrap a File/Blob into the `read` contract used by the parsers. */
+export function blobReader(blob) {
+  return async (offset, length) => {
+    const end = Math.min(blob.size, offset + length);
+    if (offset >= end) return new Uint8Array(0);
+    return new Uint8Array(await blob.slice(offset, end).arrayBuffer());
+  };
+}
+
+// =====================
+// ID3v2 (MP3, also sometimes prepended to FLAC)
+// =====================
+function removeUnsync(b) {
+  const out = new Uint8Array(b.length);
+  let j = 0;
+  for (let i = 0; i < b.length; i++) {
+    out[j++] = b[i];
+    if (b[i] === 0xff && b[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, j);
+}
+
+function decodeId3Text(enc, b) {
+  if (enc === 0) return latin1.decode(b);
+  if (enc === 3) return utf8.decode(b);
+  if (enc === 1) {
+    // UTF-16 with BOM
+    if (b[0] === 0xfe && b[1] === 0xff) return new TextDecoder("utf-16be").decode(b.subarray(2));
+    if (b[0] === 0xff && b[1] === 0xfe) return new TextDecoder("utf-16le").decode(b.subarray(2));
+    return new TextDecoder("utf-16le").decode(b);
+  }
+  return new TextDecoder("utf-16be").decode(b);
+}
+
+const cleanText = (s) => s.replace(/\0+$/, "").split("\0")[0].trim();
+
+// End of a NUL-terminated string starting at `from`; UTF-16 uses a double NUL
+function termEnd(b, from, enc) {
+  if (enc === 1 || enc === 2) {
+    for (let i = from; i + 1 < b.length; i += 2) if (b[i] === 0 && b[i + 1] === 0) return i;
+    return b.length;
+  }
+  const i = b.indexOf(0, from);
+  return i === -1 ? b.length : i;
+}
+
+function parseId3Picture(body, v22) {
+  const enc = body[0];
+  let p = 1;
+  let mime;
+  if (v22) {
+    const fmt = ascii(body, p, 3).toLowerCase();
+    mime = fmt === "png" ? "image/png" : "image/jpeg";
+    p += 3;
+  } else {
+    const end = body.indexOf(0, p);
+    mime = ascii(body, p, end - p);
+    p = end + 1;
+  }
+  const type = body[p++];
+  const descEnd = termEnd(body, p, enc);
+  p = descEnd + (enc === 1 || enc === 2 ? 2 : 1);
+  const data = body.slice(p);
+  if (!mime || !mime.includes("/")) mime = sniffMime(data) || "image/jpeg";
+  return { type, mime, data };
+}
+
+async function parseId3(read, header) {
+  const major = header[3];
+  const flags = header[5];
+  const size = synchsafe(header, 6);
+  let tag = await read(10, size);
+  if (major < 4 && flags & 0x80) tag = removeUnsync(tag);
+
+  let p = 0;
+  if (flags & 0x40) p = major === 4 ? synchsafe(tag, 0) : u32be(tag, 0) + 4;
+
+  const v22 = major === 2;
+  const idLen = v22 ? 3 : 4;
+  const hdrLen = v22 ? 6 : 10;
+  const texts = {};
+  const pictures = [];
+
+  while (p + hdrLen <= tag.length) {
+    const id = ascii(tag, p, idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+    const len = v22 ? u24be(tag, p + 3) : major === 4 ? synchsafe(tag, p + 4) : u32be(tag, p + 4);
+    const fmtFlags = v22 ? 0 : tag[p + 9];
+    let body = tag.subarray(p + hdrLen, p + hdrLen + len);
+    p += hdrLen + len;
+    if (major === 4 && fmtFlags & 0x02) body = removeUnsync(body);
+    if (major === 4 && fmtFlags & 0x01) body = body.subarray(4); // data length indicator
+
+    if (id === "APIC" || id === "PIC") pictures.push(parseId3Picture(body, v22));
+    else if (id[0] === "T" && body.length > 1) texts[id] = cleanText(decodeId3Text(body[0], body.subarray(1)));
+  }
+
+  const pic = pictures.find((x) => x.type === FRONT_COVER) || pictures[0] || null;
+  return {
+    album: texts.TALB ?? texts.TAL ?? "",
+    artist: texts.TPE2 ?? texts.TP2 ?? texts.TPE1 ?? texts.TP1 ?? "",
+    picture: pic ? { mime: pic.mime, data: pic.data } : null,
+  };
+}
+
+// =====================
+// FLAC metadata blocks
+// =====================
+function parseVorbisComments(b) {
+  const out = {};
+  let p = 4 + u32le(b, 0); // vendor string
+  const count = u32le(b, p);
+  p += 4;
+  for (let i = 0; i < count && p + 4 <= b.length; i++) {
+    const len = u32le(b, p);
+    const entry = utf8.decode(b.subarray(p + 4, p + 4 + len));
+    p += 4 + len;
+    const eq = entry.indexOf("=");
+    if (eq > 0) {
+      const key = entry.slice(0, eq).toUpperCase();
+      if (!(key in out)) out[key] = entry.slice(eq + 1).trim();
+    }
+  }
+  return out;
+}
+
+function parseFlacPicture(b) {
+  let p = 0;
+  const type = u32be(b, p); p += 4;
+  const mimeLen = u32be(b, p); p += 4;
+  const mime = ascii(b, p, mimeLen); p += mimeLen;
+  const descLen = u32be(b, p); p += 4 + descLen;
+  p += 16; // width, height, depth, colors
+  const dataLen = u32be(b, p); p += 4;
+  const data = b.slice(p, p + dataLen);
+  return { type, mime: mime || sniffMime(data) || "image/jpeg", data };
+}
+
+async function parseFlac(read, start) {
+  let p = start + 4; // "fLaC"
+  let comments = {};
+  const pictures = [];
+  for (;;) {
+    const h = await read(p, 4);
+    if (h.length < 4) break;
+    const last = h[0] & 0x80;
+    const type = h[0] & 0x7f;
+    const len = u24be(h, 1);
+    p += 4;
+    if (type === 4) comments = parseVorbisComments(await read(p, len));
+    else if (type === 6) pictures.push(parseFlacPicture(await read(p, len)));
+    p += len;
+    if (last) break;
+  }
+  const pic = pictures.find((x) => x.type === FRONT_COVER) || pictures[0] || null;
+  return {
+    album: comments.ALBUM ?? "",
+    artist: comments.ALBUMARTIST ?? comments["ALBUM ARTIST"] ?? comments.ARTIST ?? "",
+    picture: pic ? { mime: pic.mime, data: pic.data } : null,
+  };
+}
+
+// =====================
+// MP4 / M4A atoms (moov > udta > meta > ilst)
+// =====================
+function* atoms(b, start = 0, end = b.length) {
+  let p = start;
+  while (p + 8 <= end) {
+    let size = u32be(b, p);
+    const type = latin1.decode(b.subarray(p + 4, p + 8));
+    let hdr = 8;
+    if (size === 1) {
+      size = u32be(b, p + 8) * 2 ** 32 + u32be(b, p + 12);
+      hdr = 16;
+    } else if (size === 0) size = end - p;
+    if (size < hdr) return;
+    yield { type, start: p + hdr, end: Math.min(end, p + size) };
+    p += size;
+  }
+}
+
+const child = (b, parent, type) => {
+  for (const a of atoms(b, parent.start, parent.end)) if (a.type === type) return a;
+  return null;
+};
+
+// `data` atom: 4 bytes type indicator, 4 bytes locale, then payload
+function dataPayload(b, atom) {
+  const d = atom && child(b, atom, "data");
+  if (!d) return null;
+  return { kind: u32be(b, d.start), bytes: b.subarray(d.start + 8, d.end) };
+}
+
+async function findMoov(read, size) {
+  let p = 0;
+  while (p + 8 <= size) {
+    const h = await read(p, 16);
+    if (h.length < 8) return null;
+    let len = u32be(h, 0);
+    const type = ascii(h, 4, 4);
+    if (len === 1) len = u32be(h, 8) * 2 ** 32 + u32be(h, 12);
+    else if (len === 0) len = size - p;
+    if (len < 8) return null;
+    if (type === "moov") return await read(p, len);
+    p += len;
+  }
+  return null;
+}
+
+async function parseMp4(read, size) {
+  const moovBytes = await findMoov(read, size);
+  if (!moovBytes) return null;
+  const root = { start: 8, end: moovBytes.length };
+  const udta = child(moovBytes, root, "udta");
+  const meta = udta && child(moovBytes, udta, "meta");
+  // meta is a full box: skip version/flags before its children
+  const ilst = meta && child(moovBytes, { start: meta.start + 4, end: meta.end }, "ilst");
+  if (!ilst) return { album: "", artist: "", picture: null };
+
+  const text = (type) => {
+    const d = dataPayload(moovBytes, child(moovBytes, ilst, type));
+    return d ? utf8.decode(d.bytes).trim() : "";
+  };
+  const cover = dataPayload(moovBytes, child(moovBytes, ilst, "covr"));
+  let picture = null;
+  if (cover && cover.bytes.length) {
+    const data = cover.bytes.slice();
+    const mime = cover.kind === 14 ? "image/png" : cover.kind === 13 ? "image/jpeg" : sniffMime(data) || "image/jpeg";
+    picture = { mime, data };
+  }
+  return {
+    album: text("©alb"),
+    artist: text("aART") || text("©ART"),
+    picture,
+  };
+}
+
+// =====================
+// Entry point
+// =====================
+/**
+ * Sniff the container and pull album/artist tags plus the front cover.
+ * `size` is the total byte length (needed to walk MP4 top-level atoms).
+ */
+export async function extractCoverArt(read, size) {
+  const head = await read(0, 12);
+  if (head.length < 4) return null;
+
+  if (ascii(head, 0, 3) === "ID3") {
+    const id3 = await parseId3(read, await read(0, 10));
+    // FLAC files occasionally carry a leading ID3 tag
+    const after = 10 + synchsafe(head, 6) + (head[5] & 0x10 ? 10 : 0);
+    const magic = await read(after, 4);
+    if (magic.length === 4 && ascii(magic, 0, 4) === "fLaC") {
+      const flac = await parseFlac(read, after);
+      return {
+        album: flac.album || id3.album,
+        artist: flac.artist || id3.artist,
+        picture: flac.picture || id3.picture,
+      };
+    }
+    return id3;
+  }
+  if (ascii(head, 0, 4) === "fLaC") return await parseFlac(read, 0);
+  if (head.length >= 8 && ascii(head, 4, 4) === "ftyp") return await parseMp4(read, size);
+  return null;
+}
+
+/** Convenience wrapper for a File/Blob. */
+export function extractCoverArtFromFile(file) {
+  return extractCoverArt(blobReader(file), file.size);
+}
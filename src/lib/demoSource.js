@@ -0,0 +1,278 @@
+// =====================
+// Demo source: a scripted listening session with no network
+// =====================
+// A fetcher for RecentGrid that plays through a fictional catalog with
+// covers drawn on a canvas, so the visuals can be developed without an
+// account. Each fetch runs the next step of a script (looping), which can
+// add plays or answer the way real services misbehave:
+//
+//   play[:n]     n new plays (default 1), then the newest tiles
+//   same         no new plays; the same tiles again
+//   partial[:n]  only the newest n tiles (default 1), so the grid backfills
+//   empty        { tiles: [] }
+//   429[:s]      { tiles: [], retryMs: s * 1000, reason: "rate-limit" } (default 30)
+//   error        throws (RecentGrid retries after 30s)
+//   slow[:s]     answers like `same` after s seconds (default 3)
+//
+// Steps are comma-separated: "play, same, 429:20, play:2, error". The album
+// order comes from a seeded generator, so the same seed and script replay
+// the same session.
+import { seededRandom } from "./seededRandom";
+
+export const DEFAULT_DEMO_SCRIPT = "play, same, play:2, partial:2, empty, 429:15, play, error, play:3, slow:2";
+
+const HISTORY = 12;      // plays before the first fetch, so the grid starts full
+const PLAY_GAP_MS = 210_000; // spacing of those earlier plays (~3.5 min tracks)
+const REPLAY_CHANCE = 0.25;   // sometimes an album from the last few comes back
+const COVER_SIZE = 600;
+
+// ---------- catalog ----------
+export const DEMO_ALBUMS = [
+  ["Glass Harbour", "The Lanterns"],
+  ["Northbound Static", "Mira Okoye"],
+  ["Paper Suns", "Velvet Orchard"],
+  ["Low Tide Radio", "Halcyon Drive"],
+  ["Copper & Smoke", "Juno Park"],
+  ["Midnight Atlas", "Sable Coast"],
+  ["Soft Machinery", "Tessellate"],
+  ["Orange Weather", "The Quiet Hours"],
+  ["Salt Lines", "Ines Marr"],
+  ["Parallel Gardens", "Kite Theory"],
+  ["Neon Psalms", "Overpass"],
+  ["The Long Exhale", "Ada Vale"],
+  ["Fieldnotes", "Wren & Ash"],
+  ["Heatwave Memory", "Solenne"],
+  ["Cathedral FM", "Distant Relatives"],
+  ["Blue Hour Sessions", "Theo Lindqvist"],
+  ["Magnetic North", "Polar Motel"],
+  ["Honey Static", "June Carver"],
+  ["Vapour Trails", "Skyline Choir"],
+  ["Little Engines", "The Understudies"],
+  ["Ember Season", "Rosa Calder"],
+  ["Quiet Geometry", "Lattice"],
+  ["Far Shore", "Moth Harbor"],
+  ["Second Sunrise", "Niko Arden"],
+].map(([album, artist], i) => ({ id: `demo-${i + 1}`, album, artists: [artist] }));
+
+const TRACK_WORDS = ["Static", "Harbour", "Light", "Signal", "Drift", "Echo", "Summer", "Glass", "Orbit", "Ember", "River", "Night"];
+
+function trackName(album, n) {
+  const rand = seededRandom(`${album.id}:${n}`);
+  const pick = () => TRACK_WORDS[Math.floor(rand() * TRACK_WORDS.length)];
+  return `${pick()} ${pick()}`;
+}
+
+// ---------- covers ----------
+const covers = new Map(); // album id -> Promise<object URL>
+
+function paintCover(ctx, album, size) {
+  const rand = seededRandom(album.id);
+  const hue = Math.floor(rand() * 360);
+  const hue2 = (hue + 120 + Math.floor(rand() * 120)) % 360;
+  const c1 = `hsl(${hue} 70% 45%)`;
+  const c2 = `hsl(${hue2} 65% 60%)`;
+  const style = Math.floor(rand() * 4);
+
+  const bg = ctx.createLinearGradient(0, 0, size, size);
+  bg.addColorStop(0, `hsl(${hue} 60% 18%)`);
+  bg.addColorStop(1, `hsl(${hue2} 50% 12%)`);
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, size, size);
+
+  if (style === 0) {
+    // rings
+    for (let r = size * 0.45; r > 10; r -= size * 0.06) {
+      ctx.beginPath();
+      ctx.arc(size / 2, size * 0.45, r, 0, Math.PI * 2);
+      ctx.fillStyle = Math.round(r / (size * 0.06)) % 2 ? c1 : c2;
+      ctx.fill();
+    }
+  } else if (style === 1) {
+    // diagonal bands
+    ctx.save();
+    ctx.translate(size / 2, size / 2);
+    ctx.rotate(-Math.PI / 4);
+    const band = size * (0.06 + rand() * 0.06);
+    for (let i = 0, x = -size; x < size; i++, x += band * 2) {
+      ctx.fillStyle = i % 2 ? c1 : c2;
+      ctx.fillRect(x, -size, band, size * 2);
+    }
+    ctx.restore();
+  } else if (style === 2) {
+    // blocks
+    const n = 4;
+    const cell = size / n;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        ctx.fillStyle = `hsl(${rand() < 0.5 ? hue : hue2} 60% ${25 + Math.floor(rand() * 45)}%)`;
+        ctx.fillRect(x * cell + 4, y * cell + 4, cell - 8, cell - 8);
+      }
+    }
+  } else {
+    // sun over a striped horizon
+    ctx.beginPath();
+    ctx.arc(size / 2, size * 0.55, size * 0.28, Math.PI, 0);
+    ctx.fillStyle = c2;
+    ctx.fill();
+    for (let i = 0; i < 6; i++) {
+      ctx.fillStyle = c1;
+      ctx.fillRect(0, size * 0.58 + i * size * 0.05, size, size * 0.012 * (i + 1));
+    }
+  }
+
+  // title block
+  ctx.fillStyle = "rgba(0,0,0,0.45)";
+  ctx.fillRect(0, size * 0.78, size, size * 0.22);
+  ctx.fillStyle = "#fff";
+  ctx.textBaseline = "top";
+  ctx.font = `600 ${Math.round(size * 0.07)}px system-ui, sans-serif`;
+  ctx.fillText(album.album, size * 0.06, size * 0.81, size * 0.88);
+  ctx.fillStyle = "rgba(255,255,255,0.75)";
+  ctx.font = `${Math.round(size * 0.045)}px system-ui, sans-serif`;
+  ctx.fillText(album.artists[0], size * 0.06, size * 0.9, size * 0.88);
+}
+
+async function drawCover(album) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    const canvas = new OffscreenCanvas(COVER_SIZE, COVER_SIZE);
+    paintCover(canvas.getContext("2d"), album, COVER_SIZE);
+    return URL.createObjectURL(await canvas.convertToBlob({ type: "image/png" }));
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = COVER_SIZE;
+  paintCover(canvas.getContext("2d"), album, COVER_SIZE);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  return URL.createObjectURL(blob);
+}
+
+/**
+ * Object URL of a generated PNG cover for a DEMO_ALBUMS entry. Drawn once
+ * per album and kept for the page's lifetime (PNG, so palette extraction
+ * and poster export can read it like a real cover).
+ */
+export function demoCover(album) {
+  if (!covers.has(album.id)) covers.set(album.id, drawCover(album));
+  return covers.get(album.id);
+}
+
+// ---------- script ----------
+const STEPS = {
+  play: { arg: 1 },
+  same: {},
+  partial: { arg: 1 },
+  empty: {},
+  429: { arg: 30 },
+  error: {},
+  slow: { arg: 3 },
+};
+
+/**
+ * "play, 429:20, …" -> [{ type, arg? }]. Throws an Error with code
+ * "bad-script" naming the first step it doesn't understand.
+ */
+export function parseDemoScript(text) {
+  const steps = String(text || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((raw) => {
+      const [type, value] = raw.toLowerCase().split(":");
+      const def = STEPS[type];
+      const arg = value === undefined ? def?.arg : Number(value);
+      if (!def || (value !== undefined && (!("arg" in def) || !(arg >= 0)))) {
+        const err = new Error(`Unknown demo step "${raw}"`);
+        err.code = "bad-script";
+        throw err;
+      }
+      return "arg" in def ? { type, arg } : { type };
+    });
+  if (!steps.length) {
+    const err = new Error("The demo script has no steps");
+    err.code = "bad-script";
+    throw err;
+  }
+  return steps;
+}
+
+/** "429:15" style label for a parsed step. */
+export const stepLabel = (step) => (step.arg === undefined ? step.type : `${step.type}:${step.arg}`);
+
+// ---------- fetcher ----------
+/**
+ * A RecentGrid source replaying `script` (string or parsed steps) over the
+ * demo catalog. Tiles are one per album, newest first, with track, artists
+ * and playedAt like the service fetchers. `onStep({ index, step, count })`
+ * fires as each step runs; `cover(album)` -> src (or a Promise of one) can
+ * replace the canvas covers, e.g. outside a browser.
+ */
+export function createDemoSource({ script = DEFAULT_DEMO_SCRIPT, seed = "demo", cover = demoCover, onStep } = {}) {
+  const steps = typeof script === "string" ? parseDemoScript(script) : script;
+  const rand = seededRandom(seed);
+  const plays = []; // newest first: { album, track, playedAt }
+  let index = 0;
+  let count = 0; // plays so far, numbers the tracks
+
+  const nextAlbum = () => {
+    const recent = plays.slice(0, 3);
+    if (recent.length && rand() < REPLAY_CHANCE) return recent[Math.floor(rand() * recent.length)].album;
+    return DEMO_ALBUMS[Math.floor(rand() * DEMO_ALBUMS.length)];
+  };
+
+  const play = (playedAt) => {
+    const album = nextAlbum();
+    count += 1;
+    plays.unshift({ album, track: trackName(album, count), playedAt });
+  };
+
+  const start = Date.now();
+  for (let i = HISTORY; i > 0; i--) play(start - i * PLAY_GAP_MS);
+
+  const tiles = async (take) => {
+    const seen = new Set();
+    const latest = [];
+    for (const p of plays) {
+      if (latest.length >= take) break;
+      if (seen.has(p.album.id)) continue;
+      seen.add(p.album.id);
+      latest.push(p);
+    }
+    return Promise.all(
+      latest.map(async (p) => ({
+        id: p.album.id,
+        src: await cover(p.album),
+        album: p.album.album,
+        track: p.track,
+        artists: p.album.artists,
+        playedAt: p.playedAt,
+      }))
+    );
+  };
+
+  return async ({ take = 6 } = {}) => {
+    const step = steps[index % steps.length];
+    onStep?.({ index: index % steps.length, step, count: index + 1 });
+    index += 1;
+
+    switch (step.type) {
+      case "play":
+        for (let i = 0; i < step.arg; i++) play(Date.now());
+        return { tiles: await tiles(take) };
+      case "partial":
+        return { tiles: await tiles(Math.min(take, step.arg)) };
+      case "empty":
+        return { tiles: [] };
+      case "429":
+        return { tiles: [], retryMs: step.arg * 1000, reason: "rate-limit" };
+      case "error": {
+        const err = new Error(`Simulated error (demo step ${index})`);
+        err.code = "demo-error";
+        throw err;
+      }
+      case "slow":
+        await new Promise((resolve) => setTimeout(resolve, step.arg * 1000));
+        return { tiles: await tiles(take) };
+      default:
+        return { tiles: await tiles(take) };
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// =====================
+// Display formatting for tile metadata
+// =====================
+
+/** playedAt may be an ISO string (Spotify) or epoch ms; returns ms or null. */
+export function toMs(playedAt) {
+  if (playedAt == null || playedAt === "") return null;
+  const ms = typeof playedAt === "number" ? playedAt : Date.parse(playedAt);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/** "just now", "12 min ago", "3 h ago", "2 d ago". */
+export function timeAgo(playedAt, now = Date.now()) {
+  const ms = toMs(playedAt);
+  if (ms == null) return "";
+  const min = Math.floor((now - ms) / 60_000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const h = Math.floor(min / 60);
+  if (h < 24) return `${h} h ago`;
+  return `${Math.floor(h / 24)} d ago`;
+}
+
+export const artistLine = (tile) => (Array.isArray(tile?.artists) ? tile.artists.filter(Boolean).join(", ") : "");
+
+/** A cover URL without the Plex server token, for files and other devices. */
+export const shareableSrc = (src) => src.replace(/([?&])X-Plex-Token=[^&]*&?/, "$1").replace(/[?&]$/, "");
@@ -0,0 +1,62 @@
+// =====================
+// Shared requestAnimationFrame clock
+// =====================
+// One rAF loop drives every animated tunnel on the page. It only runs while
+// something is subscribed and stops while the tab is hidden or the clock is
+// paused (remote control); time spent stopped is not counted, so animations
+// pick up where they left off.
+
+const subscribers = new Set();
+let rafId = null;
+let lastTs = null;
+let elapsed = 0; // seconds of visible time since the clock first started
+let paused = false;
+
+function tick(ts) {
+  const dt = lastTs == null ? 0 : Math.min(0.1, (ts - lastTs) / 1000); // clamp long stalls
+  lastTs = ts;
+  elapsed += dt;
+  for (const fn of subscribers) fn(elapsed, dt);
+  rafId = requestAnimationFrame(tick);
+}
+
+function start() {
+  if (rafId != null || !subscribers.size || paused) return;
+  if (typeof document !== "undefined" && document.hidden) return;
+  lastTs = null;
+  rafId = requestAnimationFrame(tick);
+}
+
+function stop() {
+  if (rafId != null) cancelAnimationFrame(rafId);
+  rafId = null;
+}
+
+if (typeof document !== "undefined") {
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) stop();
+    else start();
+  });
+}
+
+/** Freeze (true) or resume every animation on the page. */
+export function setFramesPaused(value) {
+  paused = value;
+  if (paused) stop();
+  else start();
+}
+
+/**
+ * Call `fn(timeSec, dtSec)` every frame. Returns an unsubscribe function.
+ */
+export function subscribeFrame(fn) {
+  subscribers.add(fn);
+  start();
+  return () => {
+    subscribers.delete(fn);
+    if (!subscribers.size) stop();
+  };
+}
+
+/** Current clock time in seconds (for the first paint before any frame). */
+export const frameTime = () => elapsed;
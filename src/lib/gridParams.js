@@ -0,0 +1,26 @@
+// =====================
+// RecentGrid options from the page URL
+// =====================
+// ?layout=masonry&renderer=canvas&transition=shift&overlay=caption&palette=1&ambient=1
+// Only keys present in the URL are returned, so RecentGrid defaults still apply.
+
+export const flag = (v) => v === "" || v === "1" || v === "true";
+
+export function gridPropsFromSearch(searchParams) {
+  const props = {};
+  const layout = searchParams.get("layout");
+  const renderer = searchParams.get("renderer");
+  const transition = searchParams.get("transition");
+  if (layout) props.layout = layout;
+  if (renderer) props.renderer = renderer;
+  if (transition) props.transition = transition;
+  const overlay = searchParams.get("overlay");
+  if (overlay) props.overlay = overlay;
+  if (searchParams.has("palette")) props.palette = flag(searchParams.get("palette"));
+  if (searchParams.has("ambient")) {
+    props.ambient = flag(searchParams.get("ambient"));
+    // ambient needs palettes; turn them on unless explicitly disabled
+    if (props.ambient && !searchParams.has("palette")) props.palette = true;
+  }
+  return props;
+}
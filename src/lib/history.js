@@ -0,0 +1,202 @@
+// =====================
+// Local listening history (IndexedDB)
+// =====================
+// Every play a fetcher sees is logged once, keyed by service + time + track,
+// so the overlapping "last 50" windows of successive polls don't duplicate.
+// Play: { key, service, playedAt (ms), track, album, artists[], albumId, src }
+import { openDb, idbRequest, idbDone } from "./idb";
+import { toMs, shareableSrc } from "./format";
+
+const DB_NAME = "album-art-history";
+
+const db = () =>
+  openDb(DB_NAME, 1, (d) => {
+    const plays = d.createObjectStore("plays", { keyPath: "key" });
+    plays.createIndex("playedAt", "playedAt");
+  });
+
+const playKey = (p) => `${p.service}|${p.playedAt}|${p.track || p.albumId}`;
+
+/** Normalize anything play-shaped (a tile, an imported row); null if unusable. */
+function toPlay(raw, service = raw?.service) {
+  const playedAt = toMs(raw?.playedAt);
+  if (!service || playedAt == null || raw?.nowPlaying) return null;
+  const artists = Array.isArray(raw.artists)
+    ? raw.artists.filter(Boolean).map(String)
+    : String(raw.artists || "").split(/\s*;\s*/).filter(Boolean);
+  const play = {
+    service: String(service),
+    playedAt,
+    track: raw.track ? String(raw.track) : "",
+    album: raw.album ? String(raw.album) : "",
+    artists,
+    albumId: String(raw.albumId ?? raw.id ?? ""),
+    src: raw.remoteSrc || raw.src || "",
+  };
+  if (!play.albumId && !play.album) return null;
+  return { ...play, key: playKey(play) };
+}
+
+async function putPlays(plays) {
+  const d = await db();
+  if (!d || !plays.length) return 0;
+  const tx = d.transaction("plays", "readwrite");
+  const store = tx.objectStore("plays");
+  for (const p of plays) store.put(p);
+  await idbDone(tx);
+  return plays.length;
+}
+
+const recorded = new Set(); // keys already written this session
+
+/**
+ * Log plays seen by a fetcher: tiles with a playedAt (one per play, before
+ * any album dedupe). Fire-and-forget; never throws.
+ */
+export function recordPlays(service, tiles) {
+  const fresh = [];
+  for (const t of tiles) {
+    const p = toPlay(t, service);
+    if (!p || recorded.has(p.key)) continue;
+    recorded.add(p.key);
+    fresh.push(p);
+  }
+  return putPlays(fresh).catch(() => 0);
+}
+
+/** Plays with from <= playedAt < to, oldest first. */
+export async function playsBetween(from, to) {
+  const d = await db();
+  if (!d) return [];
+  const range = IDBKeyRange.bound(from, to, false, true);
+  return idbRequest(d.transaction("plays").objectStore("plays").index("playedAt").getAll(range));
+}
+
+/** Up to `limit` plays at or before `at`, newest first. */
+export async function playsBefore(at, limit = 300) {
+  const d = await db();
+  if (!d) return [];
+  const out = [];
+  const req = d
+    .transaction("plays")
+    .objectStore("plays")
+    .index("playedAt")
+    .openCursor(IDBKeyRange.upperBound(at), "prev");
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || out.length >= limit) return resolve(out);
+      out.push(cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** { first, last, count } over the whole log, or null when empty. */
+export async function historyBounds() {
+  const d = await db();
+  if (!d) return null;
+  const index = d.transaction("plays").objectStore("plays").index("playedAt");
+  const [first, last, count] = await Promise.all([
+    idbRequest(index.openCursor(null, "next")),
+    idbRequest(index.openCursor(null, "prev")),
+    idbRequest(index.count()),
+  ]);
+  return count ? { first: first.value.playedAt, last: last.value.playedAt, count } : null;
+}
+
+export async function allPlays() {
+  const d = await db();
+  if (!d) return [];
+  return idbRequest(d.transaction("plays").objectStore("plays").index("playedAt").getAll());
+}
+
+/** Newest-first plays -> one tile per album (what the grid showed then). */
+export function albumTiles(plays, take = Infinity) {
+  const seen = new Set();
+  const tiles = [];
+  for (const p of plays) {
+    const id = p.albumId || `${p.artists[0] || ""}|${p.album}`;
+    if (!p.src || seen.has(id)) continue;
+    seen.add(id);
+    tiles.push({ id, src: p.src, album: p.album, track: p.track, artists: p.artists, playedAt: p.playedAt, service: p.service });
+    if (tiles.length >= take) break;
+  }
+  return tiles;
+}
+
+// =====================
+// Export / import
+// =====================
+const CSV_COLUMNS = ["service", "playedAt", "track", "album", "artists", "albumId", "src"];
+
+// Plex cover URLs carry the server token; never put it in a file
+const exportable = (p) => ({ ...p, src: shareableSrc(p.src), key: undefined });
+
+export async function exportJson() {
+  const plays = (await allPlays()).map(exportable);
+  return JSON.stringify({ version: 1, plays }, null, 2);
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export async function exportCsv() {
+  const rows = (await allPlays()).map((p) => {
+    const e = exportable(p);
+    return CSV_COLUMNS.map((c) =>
+      csvCell(c === "artists" ? e.artists.join("; ") : c === "playedAt" ? new Date(e.playedAt).toISOString() : e[c])
+    ).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+// RFC 4180-ish: quoted cells, doubled quotes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((v) => v !== ""));
+}
+
+/**
+ * Import a file from exportJson() / exportCsv() (or any CSV with those
+ * headers). Existing plays are kept; returns how many rows were usable.
+ */
+export async function importHistory(text) {
+  const trimmed = text.trim();
+  let rows;
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data?.plays;
+    if (!Array.isArray(rows)) throw new Error("No plays in file");
+  } else {
+    const [header, ...body] = parseCsv(trimmed);
+    if (!header?.includes("playedAt") || !header.includes("service")) throw new Error("Not a history CSV");
+    rows = body.map((cells) => Object.fromEntries(header.map((h, i) => [h, cells[i]])));
+  }
+  const plays = rows.map((r) => toPlay(r)).filter(Boolean);
+  await putPlays(plays);
+  return plays.length;
+}
@@ -0,0 +1,40 @@
+// =====================
+// Minimal IndexedDB helpers (promises over requests/transactions)
+// =====================
+
+/** Resolve an IDBRequest. */
+export const idbRequest = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+/** Resolve when a transaction commits. */
+export const idbDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+/**
+ * Open (and memoize) a database; upgrade(db, oldVersion) creates stores.
+ * Resolves to null where IndexedDB is unavailable (private modes, old
+ * browsers) so callers can just skip caching.
+ */
+const opened = new Map(); // name -> Promise<IDBDatabase|null>
+export function openDb(name, version, upgrade) {
+  if (opened.has(name)) return opened.get(name);
+  const p =
+    typeof indexedDB === "undefined"
+      ? Promise.resolve(null)
+      : new Promise((resolve) => {
+          const req = indexedDB.open(name, version);
+          req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        });
+  opened.set(name, p);
+  return p;
+}
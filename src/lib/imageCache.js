@@ -0,0 +1,147 @@
+// =====================
+// Cover image cache (IndexedDB, LRU)
+// =====================
+// Covers are stored as blobs keyed by tile id, which for Spotify is the
+// album id, so a CDN URL change for the same album is refetched once and
+// replaces the old entry. Hits come back as object URLs, so the grid paints
+// from disk on reload and keeps its covers while the network is down.
+// Covers served without CORS headers can't be read and are used as-is.
+import { openDb, idbRequest, idbDone } from "./idb";
+
+const DB_NAME = "album-art-covers";
+const MAX_BYTES = 50 * 1024 * 1024;
+const MAX_ENTRIES = 500;
+const TOUCH_EVERY_MS = 60_000; // don't rewrite usedAt on every poll
+
+// Two stores so eviction can scan the small metadata without loading blobs
+const db = () =>
+  openDb(DB_NAME, 1, (d) => {
+    const meta = d.createObjectStore("meta", { keyPath: "id" }); // { id, src, size, usedAt }
+    meta.createIndex("usedAt", "usedAt");
+    d.createObjectStore("blobs"); // id -> Blob
+  });
+
+const urls = new Map();    // id -> { src, url, touchedAt } object URLs handed out this session
+const pending = new Map(); // id -> Promise<string>
+const uncacheable = new Set(); // srcs that failed to fetch this session (no CORS, 404)
+
+async function touch(id) {
+  const d = await db();
+  if (!d) return;
+  const tx = d.transaction("meta", "readwrite");
+  const store = tx.objectStore("meta");
+  const meta = await idbRequest(store.get(id));
+  if (meta) store.put({ ...meta, usedAt: Date.now() });
+  await idbDone(tx);
+}
+
+// Revoke late: an outgoing transition may still be showing the old URL
+function forget(id) {
+  const held = urls.get(id);
+  if (held) setTimeout(() => URL.revokeObjectURL(held.url), 10_000);
+  urls.delete(id);
+}
+
+// Drop least-recently-used entries past either cap
+let evicting = null;
+function evictSoon() {
+  evicting ??= new Promise((r) => setTimeout(r, 2000)).then(async () => {
+    evicting = null;
+    const d = await db();
+    if (!d) return;
+    const all = await idbRequest(d.transaction("meta").objectStore("meta").index("usedAt").getAll());
+    let bytes = all.reduce((sum, m) => sum + (m.size || 0), 0);
+    let count = all.length;
+    const drop = [];
+    for (const m of all) { // oldest first
+      if (bytes <= MAX_BYTES && count <= MAX_ENTRIES) break;
+      drop.push(m.id);
+      bytes -= m.size || 0;
+      count--;
+    }
+    if (!drop.length) return;
+    const tx = d.transaction(["meta", "blobs"], "readwrite");
+    for (const id of drop) {
+      tx.objectStore("meta").delete(id);
+      tx.objectStore("blobs").delete(id);
+      forget(id);
+    }
+    await idbDone(tx);
+  });
+  return evicting;
+}
+
+async function load(id, src) {
+  const d = await db();
+  if (!d) return src;
+
+  const meta = await idbRequest(d.transaction("meta").objectStore("meta").get(id));
+  if (meta?.src === src) {
+    const blob = await idbRequest(d.transaction("blobs").objectStore("blobs").get(id));
+    if (blob) {
+      if (Date.now() - meta.usedAt > TOUCH_EVERY_MS) touch(id).catch(() => {});
+      return blob;
+    }
+  }
+
+  // Miss, or the album's art moved: fetch and store
+  let blob;
+  try {
+    const res = await fetch(src, { mode: "cors" });
+    if (!res.ok) throw new Error(String(res.status));
+    blob = await res.blob();
+  } catch {
+    // offline or no CORS: an older copy still beats a black tile
+    if (meta) return (await idbRequest(d.transaction("blobs").objectStore("blobs").get(id))) ?? src;
+    if (navigator.onLine !== false) uncacheable.add(src);
+    return src;
+  }
+  const tx = d.transaction(["meta", "blobs"], "readwrite");
+  tx.objectStore("meta").put({ id, src, size: blob.size, usedAt: Date.now() });
+  tx.objectStore("blobs").put(blob, id);
+  await idbDone(tx).catch(() => {}); // quota: still show it this session
+  evictSoon();
+  return blob;
+}
+
+/** Object URL for a cover (cached under `id`), or `src` if it can't be cached. */
+export function cachedSrc(id, src) {
+  if (!id || !src || src.startsWith("blob:") || src.startsWith("data:") || uncacheable.has(src)) {
+    return Promise.resolve(src);
+  }
+  const held = urls.get(id);
+  if (held?.src === src) {
+    // covers on screen for hours must not look unused to the eviction
+    if (Date.now() - held.touchedAt > TOUCH_EVERY_MS) {
+      held.touchedAt = Date.now();
+      touch(id).catch(() => {});
+    }
+    return Promise.resolve(held.url);
+  }
+  const key = `${id}\n${src}`;
+  if (pending.has(key)) return pending.get(key);
+
+  const p = load(id, src)
+    .then((result) => {
+      if (typeof result === "string") return result;
+      forget(id);
+      const url = URL.createObjectURL(result);
+      urls.set(id, { src, url, touchedAt: Date.now() });
+      return url;
+    })
+    .catch(() => src)
+    .finally(() => pending.delete(key));
+  pending.set(key, p);
+  return p;
+}
+
+/** Tiles with `src` swapped for cached object URLs; the original is kept as `remoteSrc`. */
+export function cacheTiles(tiles) {
+  return Promise.all(
+    tiles.map(async (t) => {
+      if (t.remoteSrc) return t; // already mapped
+      const src = await cachedSrc(t.id, t.src);
+      return src === t.src ? t : { ...t, src, remoteSrc: t.src };
+    })
+  );
+}
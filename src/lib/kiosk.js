@@ -0,0 +1,78 @@
+// =====================
+// Kiosk / always-on display options
+// =====================
+// ?kiosk=1&night=23-7&nightMode=blank
+// Enabled by the URL or by the stored "kiosk" setting
+// ({ enabled, night: "23:30-6", nightMode }, edited in the settings drawer);
+// URL keys win.
+import { store } from "./store";
+import { flag } from "./gridParams";
+
+export const KIOSK_DEFAULTS = {
+  enabled: false,
+  night: null,           // { start, end } in minutes after midnight
+  nightMode: "dim",      // "dim" | "blank"
+  cursorHideMs: 3000,
+  shiftEveryMs: 120_000, // burn-in: move content one step this often
+  shiftRadius: 6,        // px
+  idleAfterMs: 20 * 60_000, // no new plays this long -> poll slower
+  idlePollScale: 4,
+  nightPollScale: 10,
+};
+
+const toMinutes = (s) => {
+  const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(s.trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2] ?? 0);
+  return h < 24 && min < 60 ? h * 60 + min : null;
+};
+
+/** "23-7" / "22:30-06:45" -> { start, end } in minutes, or null. */
+export function parseHours(value) {
+  if (typeof value !== "string") return null;
+  const [a, b] = value.split("-");
+  if (b == null) return null;
+  const start = toMinutes(a);
+  const end = toMinutes(b);
+  return start == null || end == null || start === end ? null : { start, end };
+}
+
+/** Whether `date` falls in the window; windows may wrap past midnight. */
+export function inWindow(date, win) {
+  if (!win) return false;
+  const m = date.getHours() * 60 + date.getMinutes();
+  return win.start < win.end ? m >= win.start && m < win.end : m >= win.start || m < win.end;
+}
+
+/** Burn-in offset for step n: a slow walk around a small circle. */
+export function burnInOffset(step, radius) {
+  const angle = step * 2.39996; // golden angle: never repeats the same spot twice in a row
+  const r = radius * (0.5 + 0.5 * ((step * 7) % 11) / 10);
+  return { x: Math.round(Math.cos(angle) * r), y: Math.round(Math.sin(angle) * r) };
+}
+
+const KIOSK_KEY = "kiosk";
+
+/** The stored kiosk setting, with defaults for missing keys. */
+export function loadKioskSetting() {
+  const saved = store.get(KIOSK_KEY) || {};
+  return {
+    enabled: !!saved.enabled,
+    night: typeof saved.night === "string" ? saved.night : "",
+    nightMode: saved.nightMode === "blank" ? "blank" : KIOSK_DEFAULTS.nightMode,
+  };
+}
+
+export const saveKioskSetting = (value) => store.set(KIOSK_KEY, value);
+
+export function kioskFromSearch(searchParams, saved = loadKioskSetting()) {
+  const opts = { ...KIOSK_DEFAULTS, enabled: !!saved.enabled, nightMode: saved.nightMode || KIOSK_DEFAULTS.nightMode };
+  opts.night = parseHours(saved.night);
+
+  if (searchParams.has("kiosk")) opts.enabled = flag(searchParams.get("kiosk"));
+  if (searchParams.has("night")) opts.night = parseHours(searchParams.get("night"));
+  const nightMode = searchParams.get("nightMode");
+  if (nightMode === "dim" || nightMode === "blank") opts.nightMode = nightMode;
+  return opts;
+}
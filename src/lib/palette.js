@@ -0,0 +1,69 @@
+// =====================
+// Palette client: worker-backed, cached by tile id
+// =====================
+// getPalette(id, src) -> Promise<{ dominant, accent } | null>
+// null means "couldn't read the pixels" (no CORS, no worker support…);
+// callers just keep their default colors. A failure is remembered for a few
+// minutes only, so a cover that was briefly unreachable gets another try.
+
+const MAX_ENTRIES = 500;           // like the image cache; least recently used go first
+const FAILURE_TTL_MS = 5 * 60_000;
+
+const cache = new Map();   // id -> palette, oldest use first
+const failed = new Map();  // id -> time of the failed extraction
+const pending = new Map(); // id -> Promise
+let worker = null;
+let nextReq = 1;
+const waiting = new Map(); // request id -> resolve
+
+const supported = () =>
+  typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" && typeof createImageBitmap === "function";
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("../workers/paletteWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      const resolve = waiting.get(data.id);
+      waiting.delete(data.id);
+      resolve?.(data.error ? null : data.palette);
+    };
+  }
+  return worker;
+}
+
+function remember(id, palette) {
+  cache.delete(id);
+  cache.set(id, palette);
+  if (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+/** Cached palette for a tile id, if already extracted. */
+export const peekPalette = (id) => cache.get(id);
+
+export function getPalette(id, src) {
+  if (cache.has(id)) {
+    const palette = cache.get(id);
+    remember(id, palette);
+    return Promise.resolve(palette);
+  }
+  if (pending.has(id)) return pending.get(id);
+  if (!src || !supported()) return Promise.resolve(null);
+  if (Date.now() - (failed.get(id) ?? -Infinity) < FAILURE_TTL_MS) return Promise.resolve(null);
+
+  const req = nextReq++;
+  const p = new Promise((resolve) => {
+    waiting.set(req, resolve);
+    getWorker().postMessage({ id: req, src });
+  }).then((palette) => {
+    if (palette) {
+      remember(id, palette);
+      failed.delete(id);
+    } else {
+      failed.set(id, Date.now());
+    }
+    pending.delete(id);
+    return palette;
+  });
+  pending.set(id, p);
+  return p;
+}
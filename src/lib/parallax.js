@@ -0,0 +1,116 @@
+// =====================
+// Pointer / device-tilt parallax for the tunnels
+// =====================
+// Smoothed on the shared frame clock into one page-wide bias that tunnels
+// read inside their own frame callbacks (like audioDrive()), so leaning
+// toward the pointer moves the DOM / canvases without React re-renders.
+// The pointer counts from the middle of the window; tilt counts from the
+// angle the tablet rests at, which slowly follows the device, so holding it
+// still recenters just like an idle pointer does.
+import { subscribeFrame } from "./frameClock";
+import { NO_BIAS } from "./tunnel";
+
+const IDLE_MS = 3000;       // pointer still (or gone) this long: ease back to center
+const SMOOTHING = 6;        // 1/s toward the target
+const TILT_RANGE = 20;      // degrees of tilt for a full offset
+const TILT_RECENTER = 0.3;  // 1/s the resting angle follows the device
+
+let bias = NO_BIAS;
+let strength = 1500;
+let users = 0;
+let stopTracking = null;
+
+const clamp1 = (v) => Math.max(-1, Math.min(1, v));
+
+// beta/gamma are relative to the device, not the screen: turn with it
+function screenTilt(dx, dy) {
+  const angle = typeof screen !== "undefined" ? screen.orientation?.angle ?? window.orientation ?? 0 : 0;
+  switch ((angle + 360) % 360) {
+    case 90: return { x: dy, y: -dx };
+    case 180: return { x: -dx, y: -dy };
+    case 270: return { x: -dy, y: dx };
+    default: return { x: dx, y: dy };
+  }
+}
+
+function track() {
+  const target = { x: 0, y: 0 };
+  const value = { x: 0, y: 0 };
+  let movedAt = -Infinity; // last pointer move
+  let tilt = null;         // latest { beta, gamma }
+  let rest = null;         // resting { beta, gamma }
+
+  const onPointer = (e) => {
+    if (e.pointerType === "touch") return; // a tap isn't looking around
+    target.x = clamp1((e.clientX / window.innerWidth) * 2 - 1);
+    target.y = clamp1((e.clientY / window.innerHeight) * 2 - 1);
+    movedAt = performance.now();
+  };
+  const onLeave = () => { movedAt = -Infinity; };
+  const onTilt = (e) => {
+    if (e.beta == null || e.gamma == null) return;
+    tilt = { beta: e.beta, gamma: e.gamma };
+    rest ??= { ...tilt };
+  };
+  // iOS only delivers orientation after a permission asked from a gesture
+  const askTilt = () => {
+    window.DeviceOrientationEvent?.requestPermission?.().catch(() => {});
+  };
+
+  window.addEventListener("pointermove", onPointer);
+  document.documentElement.addEventListener("mouseleave", onLeave);
+  window.addEventListener("deviceorientation", onTilt);
+  window.addEventListener("pointerdown", askTilt, { once: true });
+
+  const unsubscribe = subscribeFrame((t, dt) => {
+    const pointing = performance.now() - movedAt < IDLE_MS;
+    if (!pointing && tilt) {
+      const k = Math.min(1, dt * TILT_RECENTER);
+      rest.beta += (tilt.beta - rest.beta) * k;
+      rest.gamma += (tilt.gamma - rest.gamma) * k;
+      const s = screenTilt((tilt.gamma - rest.gamma) / TILT_RANGE, (tilt.beta - rest.beta) / TILT_RANGE);
+      target.x = clamp1(s.x);
+      target.y = clamp1(s.y);
+    } else if (!pointing) {
+      target.x = 0;
+      target.y = 0;
+    }
+    const k = 1 - Math.exp(-dt * SMOOTHING);
+    value.x += (target.x - value.x) * k;
+    value.y += (target.y - value.y) * k;
+    // a new object only on visible steps, so still tunnels can skip a resting view
+    const biasX = (Math.round(value.x * 100) / 100) * strength;
+    const biasY = (Math.round(value.y * 100) / 100) * strength;
+    if (biasX !== bias.biasX || biasY !== bias.biasY) bias = { biasX, biasY };
+  });
+
+  return () => {
+    unsubscribe();
+    window.removeEventListener("pointermove", onPointer);
+    document.documentElement.removeEventListener("mouseleave", onLeave);
+    window.removeEventListener("deviceorientation", onTilt);
+    window.removeEventListener("pointerdown", askTilt);
+    bias = NO_BIAS;
+  };
+}
+
+/** Current { biasX, biasY }, each within ±strength; cheap, read every frame. */
+export const parallaxBias = () => bias;
+
+/**
+ * Start following the pointer / tilt (shared by every caller on the page).
+ * Returns a release function; tracking stops when the last caller releases.
+ */
+export function startParallax(options = {}) {
+  strength = options.strength ?? strength;
+  if (users++ === 0) stopTracking = track();
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--users === 0) {
+      stopTracking();
+      stopTracking = null;
+    }
+  };
+}
@@ -0,0 +1,148 @@
+// =====================
+// OAuth authorization code + PKCE (no backend)
+// =====================
+// Login redirects to the provider and comes back to the provider's route
+// with ?code&state; the verifier waits in sessionStorage, keyed by state, so
+// two tabs signing in at once each keep their own. Tokens live in a
+// cross-tab auth session (./authSession), refreshed through the token
+// endpoint with the refresh_token.
+import { sessionStore } from "./store";
+import { createAuthSession } from "./authSession";
+
+const PENDING_MAX_AGE_MS = 60 * 60 * 1000;
+
+// ---------- helpers ----------
+function base64UrlEncode(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let str = "";
+  for (let i = 0; i < bytes.byteLength; i++) str += String.fromCharCode(bytes[i]);
+  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+async function sha256(verifier) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(verifier);
+  return await crypto.subtle.digest("SHA-256", data);
+}
+function makeCodeVerifier() {
+  const arr = new Uint8Array(64);
+  crypto.getRandomValues(arr);
+  return Array.from(arr)
+    .map((b) => ("0" + b.toString(16)).slice(-2))
+    .join("")
+    .slice(0, 128);
+}
+async function makeCodeChallenge(codeVerifier) {
+  const hashed = await sha256(codeVerifier);
+  return base64UrlEncode(hashed);
+}
+
+export const grantedScopes = (token) => new Set((token?.scope || "").split(" ").filter(Boolean));
+export const hasScopes = (token, scopes) => {
+  const granted = grantedScopes(token);
+  return scopes.every((s) => granted.has(s));
+};
+
+/**
+ * @param {object} opts
+ * @param {string} opts.id            provider id: route /<id> is the redirect target
+ * @param {string} opts.clientId
+ * @param {string} opts.authorizeUrl
+ * @param {string} opts.tokenUrl
+ * @param {string[]} [opts.scopes]    always requested
+ * @param {string} opts.storageKey    localStorage key of the token
+ */
+export function createPkceAuth({ id, clientId, authorizeUrl, tokenUrl, scopes = [], storageKey }) {
+  const redirectUri =
+    typeof window !== "undefined"
+      ? new URL(`/${id}`, window.location.origin).toString()
+      : `http://localhost:5173/${id}`;
+  const pendingPrefix = `${id}_pkce:`;
+
+  async function tokenRequest(params, what) {
+    const res = await fetch(tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ client_id: clientId, ...params }),
+    });
+    if (!res.ok) throw new Error(`${what} failed: ${res.status}`);
+    return await res.json();
+  }
+
+  const session = createAuthSession({
+    key: storageKey,
+    refresh: async (t) => {
+      const rt = await tokenRequest({ grant_type: "refresh_token", refresh_token: t.refresh_token }, "Refresh");
+      return {
+        ...t,
+        access_token: rt.access_token,
+        expires_in: rt.expires_in,
+        expires_at: Date.now() + rt.expires_in * 1000,
+        refresh_token: rt.refresh_token ?? t.refresh_token, // may be rotated
+        scope: rt.scope ?? t.scope,
+        received_at: Date.now(),
+      };
+    },
+  });
+
+  function prunePendingLogins() {
+    for (const key of sessionStore.keys()) {
+      if (!key?.startsWith(pendingPrefix)) continue;
+      const pending = sessionStore.get(key);
+      if (!pending || Date.now() - (pending.createdAt ?? 0) > PENDING_MAX_AGE_MS) sessionStore.del(key);
+    }
+  }
+
+  return {
+    session,
+    redirectUri,
+
+    /**
+     * Redirect to the provider. Asks for what's already granted plus
+     * `extraScopes`, so asking for more never drops earlier access.
+     */
+    async login(extraScopes = []) {
+      const scope = new Set([...scopes, ...grantedScopes(session.get()), ...extraScopes]);
+      const verifier = makeCodeVerifier();
+      const challenge = await makeCodeChallenge(verifier);
+      const state = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+      prunePendingLogins();
+      sessionStore.set(pendingPrefix + state, { verifier, createdAt: Date.now() });
+      const params = new URLSearchParams({
+        client_id: clientId,
+        response_type: "code",
+        redirect_uri: redirectUri,
+        code_challenge_method: "S256",
+        code_challenge: challenge,
+        state,
+        scope: [...scope].join(" "),
+      });
+      window.location.href = `${authorizeUrl}?${params.toString()}`;
+    },
+
+    /**
+     * Finish a login if this page load is the redirect back: exchanges the
+     * code, stores the token and cleans the URL. Resolves true when it did;
+     * rejects if the exchange fails.
+     */
+    async completeLogin() {
+      const url = new URL(window.location.href);
+      const code = url.searchParams.get("code");
+      const state = url.searchParams.get("state");
+      if (!code || !state) return false;
+      const pending = sessionStore.get(pendingPrefix + state);
+      if (!pending?.verifier) return false;
+      // Claim it before the await so a second call can't reuse the code
+      sessionStore.del(pendingPrefix + state);
+      const tok = await tokenRequest(
+        { grant_type: "authorization_code", code, redirect_uri: redirectUri, code_verifier: pending.verifier },
+        "Token exchange"
+      );
+      session.set({ ...tok, received_at: Date.now(), expires_at: Date.now() + tok.expires_in * 1000 });
+      // Clean the URL in-place, stay on the provider's route
+      url.searchParams.delete("code");
+      url.searchParams.delete("state");
+      window.history.replaceState({}, "", url.toString());
+      return true;
+    },
+  };
+}
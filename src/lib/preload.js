@@ -0,0 +1,39 @@
+// =====================
+// Cover preloading
+// =====================
+// Fetch + decode() an image before it is swapped into the grid so a new tile
+// never paints black while its cover downloads. Results are cached per src
+// (the most recent 500, like the image cache); failures and timeouts resolve
+// too (the tile is shown anyway, just unready).
+
+const MAX_ENTRIES = 500;
+const cache = new Map(); // src -> Promise<boolean>, oldest use first
+
+export function preloadImage(src, { timeoutMs = 8000 } = {}) {
+  if (!src) return Promise.resolve(false);
+  if (cache.has(src)) {
+    const hit = cache.get(src);
+    cache.delete(src); // most recently used goes last
+    cache.set(src, hit);
+    return hit;
+  }
+
+  const img = new Image();
+  img.decoding = "async";
+  img.src = src;
+  const decoded = img.decode().then(
+    () => true,
+    () => {
+      cache.delete(src); // allow a retry on the next poll
+      return false;
+    }
+  );
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(false), timeoutMs));
+  const p = Promise.race([decoded, timeout]);
+  cache.set(src, p);
+  if (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  return p;
+}
+
+/** Preload every src in the list; resolves once all are decoded (or gave up). */
+export const preloadAll = (srcs, opts) => Promise.all(srcs.map((s) => preloadImage(s, opts)));
@@ -0,0 +1,162 @@
+// =====================
+// Remote control protocol
+// =====================
+// A running display listens for commands on a BroadcastChannel (same origin:
+// other tabs, windows, /remote) and, optionally, on a WebSocket relay
+// (scripts/remote-relay.js) for phones and scripts elsewhere on the network.
+// Every message is a plain JSON object:
+//
+//   { v: 1, type, to?, from?, ...fields }
+//
+// `to` targets one display by id (omit it to reach every display); `from`
+// is the sender's id. Commands (remote -> display):
+//
+//   hello                        ask displays to announce themselves
+//   layout    { layout }         switch layout preset ("grid-3x3", …)
+//   settings  { settings }       apply settings (a preset's values; unknown keys ignored)
+//   preset    { name }           load a preset saved on the display
+//   pause / resume               stop / restart polling and animation
+//   refresh                      fetch now
+//   pin       { slot, tile }     keep `tile` ({ id, src, …metadata }) in slot
+//                                (0-based, layout fill order); tile: null unpins
+//   blank     { on }             black out the screen (true) or restore it
+//
+// Displays answer with a status message (display -> remote):
+//
+//   status { from, name, path, paused, blanked, layout, slots, pins, presets }
+//
+// where slots is [{ id, src, album?, track?, artists? } | null] in fill order,
+// with src stripped of the Plex token.
+// From a devtools console on the same origin:
+//   new BroadcastChannel("album-art-remote").postMessage({ v: 1, type: "blank", on: true })
+import { store } from "./store";
+
+export const PROTOCOL_VERSION = 1;
+export const CHANNEL = "album-art-remote";
+const RELAY_KEY = "remote_relay";
+
+const isString = (v) => typeof v === "string" && v.length > 0;
+const isTile = (v) => v && typeof v === "object" && isString(v.id) && isString(v.src);
+
+// Field checks per command type
+const COMMANDS = {
+  hello: {},
+  layout: { layout: isString },
+  settings: { settings: (v) => !!v && typeof v === "object" && !Array.isArray(v) },
+  preset: { name: isString },
+  pause: {},
+  resume: {},
+  refresh: {},
+  pin: { slot: (v) => Number.isInteger(v) && v >= 0, tile: (v) => v === null || isTile(v) },
+  blank: { on: (v) => typeof v === "boolean" },
+  status: { from: isString },
+};
+
+export const COMMAND_TYPES = Object.keys(COMMANDS).filter((t) => t !== "status");
+
+/**
+ * Check a message against the protocol; returns it, or throws an Error with
+ * code "bad-command" saying what is wrong.
+ */
+export function validateCommand(msg) {
+  const fail = (why) => {
+    const err = new Error(`Bad remote command: ${why}`);
+    err.code = "bad-command";
+    throw err;
+  };
+  if (!msg || typeof msg !== "object") fail("not an object");
+  if (msg.v !== PROTOCOL_VERSION) fail(`unsupported version ${msg.v}`);
+  const fields = COMMANDS[msg.type];
+  if (!fields) fail(`unknown type "${msg.type}"`);
+  for (const [key, ok] of Object.entries(fields)) {
+    if (!ok(msg[key])) fail(`${msg.type}.${key} is invalid`);
+  }
+  return msg;
+}
+
+/** Build a command; throws like validateCommand. */
+export const command = (type, fields = {}) => validateCommand({ v: PROTOCOL_VERSION, type, ...fields });
+
+// ---------- relay address ----------
+/** ws:// URL of the relay: ?relay=… on this page, else the one saved on /remote. */
+export function relayUrl(searchParams) {
+  const fromUrl = searchParams?.get("relay");
+  return fromUrl || store.get(RELAY_KEY) || "";
+}
+
+export const saveRelayUrl = (url) => (url ? store.set(RELAY_KEY, url) : store.del(RELAY_KEY));
+
+// ---------- transport ----------
+const RELAY_RETRY_MS = 2000;
+const RELAY_RETRY_MAX_MS = 30_000;
+
+/**
+ * Open the command link: BroadcastChannel, plus the relay when `relay` is a
+ * ws:// URL (reconnects with backoff). Invalid messages are dropped.
+ * Returns { send(msg), subscribe(fn) -> unsubscribe, relayState(), close() }.
+ */
+export function createRemoteLink({ relay = "" } = {}) {
+  const listeners = new Set();
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(CHANNEL) : null;
+  let socket = null;
+  let socketState = relay ? "connecting" : "off"; // "off" | "connecting" | "open" | "closed"
+  let retryMs = RELAY_RETRY_MS;
+  let retryTimer = null;
+  let closed = false;
+
+  const deliver = (data) => {
+    let msg;
+    try {
+      msg = validateCommand(typeof data === "string" ? JSON.parse(data) : data);
+    } catch {
+      return;
+    }
+    for (const fn of listeners) fn(msg);
+  };
+
+  if (channel) channel.onmessage = (e) => deliver(e.data);
+
+  const connect = () => {
+    if (closed || !relay) return;
+    socketState = "connecting";
+    try {
+      socket = new WebSocket(relay);
+    } catch {
+      socketState = "closed";
+      return;
+    }
+    socket.onopen = () => {
+      socketState = "open";
+      retryMs = RELAY_RETRY_MS;
+    };
+    socket.onmessage = (e) => deliver(e.data);
+    socket.onclose = () => {
+      socket = null;
+      socketState = "closed";
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(RELAY_RETRY_MAX_MS, retryMs * 2);
+    };
+  };
+  connect();
+
+  return {
+    send(msg) {
+      const valid = validateCommand(msg);
+      channel?.postMessage(valid);
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(valid));
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    relayState: () => socketState,
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      channel?.close();
+      socket?.close();
+      listeners.clear();
+    },
+  };
+}
@@ -0,0 +1,20 @@
+// =====================
+// Retry-After header -> wait in ms
+// =====================
+
+/**
+ * The header is either delay-seconds ("120") or an HTTP-date; a missing,
+ * unparsable or negative value gives `fallbackMs`, a date already past gives 0.
+ * @param {Response} res
+ * @param {number} fallbackMs
+ */
+export function retryAfterMs(res, fallbackMs, now = Date.now()) {
+  const value = res.headers.get("Retry-After")?.trim();
+  if (!value) return fallbackMs;
+  if (/^[+-]?\d+(\.\d+)?$/.test(value)) {
+    const sec = Number(value);
+    return sec >= 0 ? Math.round(sec * 1000) : fallbackMs;
+  }
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - now) : fallbackMs;
+}
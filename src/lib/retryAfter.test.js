@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { retryAfterMs } from "./retryAfter";
+
+const res = (value) => new Response(null, { status: 429, headers: value == null ? {} : { "Retry-After": value } });
+const now = Date.parse("2026-01-01T00:00:00Z");
+
+test("delay-seconds", () => {
+  assert.equal(retryAfterMs(res("7"), 15_000, now), 7_000);
+  assert.equal(retryAfterMs(res(" 0 "), 15_000, now), 0);
+  assert.equal(retryAfterMs(res("1.5"), 15_000, now), 1_500);
+});
+
+test("HTTP-date, relative to now; a past date means no wait", () => {
+  assert.equal(retryAfterMs(res("Thu, 01 Jan 2026 00:02:00 GMT"), 15_000, now), 120_000);
+  assert.equal(retryAfterMs(res("Wed, 31 Dec 2025 23:59:00 GMT"), 15_000, now), 0);
+});
+
+test("missing or garbage falls back, never NaN", () => {
+  assert.equal(retryAfterMs(res(null), 15_000, now), 15_000);
+  assert.equal(retryAfterMs(res("soon"), 30_000, now), 30_000);
+  assert.equal(retryAfterMs(res("-5"), 30_000, now), 30_000);
+});
@@ -0,0 +1,13 @@
+// =====================
+// Browser download of a generated file
+// =====================
+
+/** Save `blob` as a download named `name`. */
+export function saveBlob(name, blob) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  // revoking right away can cancel the download (Firefox)
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
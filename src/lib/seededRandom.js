@@ -0,0 +1,25 @@
+// =====================
+// Deterministic per-id randomness
+// =====================
+// Same id -> same sequence, so per-tile variation survives re-renders/reloads.
+
+function hashString(str) {
+  // FNV-1a
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** mulberry32 generator seeded from a string; returns () => [0, 1). */
+export function seededRandom(seed) {
+  let a = hashString(String(seed ?? ""));
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,195 @@
+// =====================
+// Grid + tunnel settings and named presets
+// =====================
+// One flat object drives a page's RecentGrid: grid options (layout, gap, …)
+// plus the AlbumTunnel knobs (upper-case keys) and the audio-reactive
+// sensitivities (audio* keys, see lib/audioInput). It is kept in localStorage,
+// saved as named presets, exported/imported as JSON, and can ride in the URL
+// as ?settings=<base64url JSON of the non-default values>.
+import { store } from "./store";
+import { LAYOUTS } from "../components/layouts";
+import { GRID_KNOBS } from "./tunnel";
+import { gridPropsFromSearch } from "./gridParams";
+
+const SETTINGS_KEY = "grid_settings";
+const PRESETS_KEY = "grid_presets";
+const EXPORT_VERSION = 1;
+
+// Drawer controls, in display order. Ranges also clamp imported values.
+export const SETTINGS_FIELDS = [
+  { key: "layout", label: "Layout", group: "Grid", type: "select", options: Object.keys(LAYOUTS) },
+  { key: "renderer", label: "Renderer", group: "Grid", type: "select", options: ["css", "canvas", "offscreen"] },
+  { key: "transition", label: "Transition", group: "Grid", type: "select", options: ["crossfade", "zoom", "shift", "none"] },
+  { key: "transitionMs", label: "Transition (ms)", group: "Grid", type: "range", min: 0, max: 3000, step: 50 },
+  { key: "overlay", label: "Overlay", group: "Grid", type: "select", options: ["none", "caption", "badge", "hover"] },
+  { key: "palette", label: "Cover colors", group: "Grid", type: "bool" },
+  { key: "ambient", label: "Ambient backdrop", group: "Grid", type: "bool" },
+  { key: "parallax", label: "Parallax (pointer / tilt)", group: "Grid", type: "bool" },
+  { key: "gap", label: "Gap (px)", group: "Grid", type: "range", min: 0, max: 120, step: 1 },
+  { key: "pollMs", label: "Poll every (ms)", group: "Grid", type: "range", min: 5000, max: 300_000, step: 5000 },
+  { key: "LAYERS", label: "Layers", group: "Tunnel", type: "range", min: 1, max: 40, step: 1 },
+  { key: "ROT_STEP", label: "Twist per layer", group: "Tunnel", type: "range", min: -0.1, max: 0.1, step: 0.001 },
+  { key: "GROWTH", label: "Growth", group: "Tunnel", type: "range", min: 1, max: 1.5, step: 0.005 },
+  { key: "FRONT_FACTOR", label: "Front size", group: "Tunnel", type: "range", min: 0.05, max: 1, step: 0.01 },
+  { key: "SPIN_SPEED", label: "Spin (rad/s)", group: "Tunnel", type: "range", min: -1, max: 1, step: 0.01 },
+  { key: "ZOOM_SPEED", label: "Zoom (layers/s)", group: "Tunnel", type: "range", min: -1, max: 1, step: 0.01 },
+  { key: "BREATHE", label: "Breathe", group: "Tunnel", type: "range", min: 0, max: 0.2, step: 0.005 },
+  { key: "BREATHE_RATE", label: "Breathe rate (Hz)", group: "Tunnel", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "audioBass", label: "Bass → pulse", group: "Audio", type: "range", min: 0, max: 3, step: 0.05 },
+  { key: "audioHighs", label: "Highs → spin", group: "Audio", type: "range", min: 0, max: 3, step: 0.05 },
+  { key: "audioOnsets", label: "Beats → zoom-through", group: "Audio", type: "range", min: 0, max: 3, step: 0.05 },
+  { key: "audioAutoGain", label: "Auto gain", group: "Audio", type: "bool" },
+];
+
+export const DEFAULT_SETTINGS = {
+  layout: "mosaic-2x3",
+  renderer: "css",
+  transition: "crossfade",
+  transitionMs: 700,
+  overlay: "none",
+  palette: false,
+  ambient: false,
+  parallax: true,
+  gap: 30,
+  pollMs: 30_000,
+  LAYERS: GRID_KNOBS.LAYERS,
+  ROT_STEP: GRID_KNOBS.ROT_STEP,
+  GROWTH: GRID_KNOBS.GROWTH,
+  FRONT_FACTOR: GRID_KNOBS.FRONT_FACTOR,
+  SPIN_SPEED: GRID_KNOBS.SPIN_SPEED,
+  ZOOM_SPEED: GRID_KNOBS.ZOOM_SPEED,
+  BREATHE: GRID_KNOBS.BREATHE,
+  BREATHE_RATE: GRID_KNOBS.BREATHE_RATE,
+  audioBass: 1,
+  audioHighs: 1,
+  audioOnsets: 1,
+  audioAutoGain: true,
+};
+
+const isKnob = (key) => key === key.toUpperCase();
+const isAudio = (key) => key.startsWith("audio");
+
+/** Keep known keys only, coerce types and clamp ranges; unknown input -> {}. */
+export function sanitizeSettings(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const f of SETTINGS_FIELDS) {
+    const v = raw[f.key];
+    if (v == null) continue;
+    if (f.type === "bool") out[f.key] = v === true || v === "true" || v === 1;
+    else if (f.type === "select") {
+      if (f.options.includes(v)) out[f.key] = v;
+    } else {
+      const n = Number(v);
+      if (Number.isFinite(n)) out[f.key] = Math.min(f.max, Math.max(f.min, n));
+    }
+  }
+  return out;
+}
+
+/** Only the values that differ from the defaults (what presets/URLs carry). */
+export function diffSettings(settings) {
+  const out = {};
+  for (const [k, v] of Object.entries(settings)) if (DEFAULT_SETTINGS[k] !== v) out[k] = v;
+  return out;
+}
+
+// ---------- URL ----------
+const toBase64Url = (s) => btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (s) => atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+
+export const encodeSettings = (settings) => toBase64Url(JSON.stringify(diffSettings(settings)));
+
+export function decodeSettings(value) {
+  try {
+    return sanitizeSettings(JSON.parse(fromBase64Url(value)));
+  } catch {
+    return {};
+  }
+}
+
+/** ?settings=… first, then the individual ?layout=… style params on top. */
+export function settingsFromSearch(searchParams) {
+  const encoded = searchParams.get("settings");
+  return {
+    ...(encoded ? decodeSettings(encoded) : {}),
+    ...sanitizeSettings(gridPropsFromSearch(searchParams)),
+  };
+}
+
+/** Link to `href` that carries `settings` (replacing any per-option params). */
+export function settingsUrl(href, settings) {
+  const url = new URL(href);
+  for (const key of ["layout", "renderer", "transition", "overlay", "palette", "ambient"]) url.searchParams.delete(key);
+  const diff = diffSettings(settings);
+  if (Object.keys(diff).length) url.searchParams.set("settings", encodeSettings(settings));
+  else url.searchParams.delete("settings");
+  return url.toString();
+}
+
+// ---------- RecentGrid ----------
+/** Settings -> RecentGrid props (`knobs` collects the tunnel keys). */
+export function gridPropsFromSettings(settings) {
+  const props = { knobs: {} };
+  for (const [k, v] of Object.entries(settings)) {
+    if (isAudio(k)) continue;
+    if (isKnob(k)) props.knobs[k] = v;
+    else props[k] = v;
+  }
+  // ambient needs palettes
+  if (props.ambient) props.palette = true;
+  return props;
+}
+
+/** Settings -> startAudioInput() / setAudioOptions() options. */
+export const audioOptionsFromSettings = (settings) => ({
+  sensitivity: { bass: settings.audioBass, high: settings.audioHighs, onset: settings.audioOnsets },
+  autoGain: settings.audioAutoGain,
+});
+
+// ---------- persistence ----------
+export const loadSettings = () => ({ ...DEFAULT_SETTINGS, ...sanitizeSettings(store.get(SETTINGS_KEY)) });
+export const saveSettings = (settings) => store.set(SETTINGS_KEY, diffSettings(settings));
+
+/** { [name]: settings diff } */
+export const loadPresets = () => {
+  const raw = store.get(PRESETS_KEY);
+  return raw && typeof raw === "object" ? raw : {};
+};
+const savePresets = (presets) => store.set(PRESETS_KEY, presets);
+
+export function savePreset(name, settings) {
+  const presets = { ...loadPresets(), [name]: diffSettings(settings) };
+  savePresets(presets);
+  return presets;
+}
+
+export function deletePreset(name) {
+  const presets = { ...loadPresets() };
+  delete presets[name];
+  savePresets(presets);
+  return presets;
+}
+
+export const presetSettings = (preset) => ({ ...DEFAULT_SETTINGS, ...sanitizeSettings(preset) });
+
+export const exportPresets = (presets = loadPresets()) =>
+  JSON.stringify({ version: EXPORT_VERSION, presets }, null, 2);
+
+/**
+ * Merge presets from an exportPresets() file; same names are overwritten.
+ * Throws on anything that isn't one.
+ */
+export function importPresets(json) {
+  const data = JSON.parse(json);
+  if (!data || typeof data.presets !== "object" || Array.isArray(data.presets)) {
+    throw new Error("Not a presets file");
+  }
+  const incoming = {};
+  for (const [name, preset] of Object.entries(data.presets)) {
+    if (name.trim()) incoming[name.trim()] = diffSettings(presetSettings(preset));
+  }
+  const presets = { ...loadPresets(), ...incoming };
+  savePresets(presets);
+  return presets;
+}
@@ -0,0 +1,103 @@
+// =====================
+// Shared Spotify Web API client
+// =====================
+// Every Spotify GET goes through here:
+// - 401 -> refresh the token once and retry
+// - 5xx / network errors -> exponential backoff with full jitter, then give up
+//   with a plain error, so RecentGrid's error path (and its wait) applies
+// - 429 -> not retried inline; the error carries Retry-After as `retryMs`
+// - concurrent identical GETs share one request
+// Errors follow the app's usual shape: an Error with `code` (HTTP status, or
+// 0 for network) and, only for 429, `retryMs`.
+
+import { retryAfterMs } from "./retryAfter";
+
+export const SPOTIFY_API = "https://api.spotify.com/v1";
+
+function apiError(message, { code, retryMs } = {}) {
+  const err = new Error(message);
+  err.code = code;
+  if (retryMs != null) err.retryMs = retryMs;
+  return err;
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {object} opts
+ * @param {() => Promise<object|null>|object|null} opts.getToken  current token ({ access_token })
+ * @param {() => Promise<object|null>} opts.refresh  refresh + return the new token (or null)
+ * @param {string} [opts.baseUrl]      point at a local stub in tests
+ * @param {typeof fetch} [opts.fetchImpl]
+ * @param {number} [opts.maxRetries]   retries for 5xx / network errors
+ * @param {number} [opts.baseDelayMs]  first backoff step
+ * @param {number} [opts.maxDelayMs]   backoff cap
+ */
+export function createSpotifyClient({
+  getToken,
+  refresh,
+  baseUrl = SPOTIFY_API,
+  fetchImpl = (...args) => fetch(...args),
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30_000,
+  sleep = defaultSleep,
+  random = Math.random,
+} = {}) {
+  const inflight = new Map(); // path -> Promise
+
+  const backoff = (attempt) => Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+  async function request(path) {
+    let token = await getToken();
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!token?.access_token) throw apiError("Not signed in", { code: 401 });
+
+      let res;
+      try {
+        res = await fetchImpl(`${baseUrl}${path}`, {
+          headers: { Authorization: `Bearer ${token.access_token}` },
+        });
+      } catch (e) {
+        if (attempt >= maxRetries) throw apiError(`API ${path} network error: ${e.message}`, { code: 0 });
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      if (res.status === 204) return null;
+      if (res.ok) return await res.json();
+
+      if (res.status === 401) {
+        if (refreshed || !refresh) throw apiError("Unauthorized", { code: 401 });
+        refreshed = true;
+        token = await refresh();
+        attempt--; // the auth retry doesn't count against the backoff budget
+        continue;
+      }
+
+      if (res.status === 429) {
+        throw apiError(`API ${path} rate limited`, { code: 429, retryMs: retryAfterMs(res, 15_000) });
+      }
+
+      if (res.status >= 500) {
+        if (attempt >= maxRetries) throw apiError(`API ${path} failed: ${res.status}`, { code: res.status });
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      throw apiError(`API ${path} failed: ${res.status}`, { code: res.status });
+    }
+  }
+
+  return {
+    /** GET a Web API path (e.g. "/me"); resolves to JSON or null on 204. */
+    get(path) {
+      if (inflight.has(path)) return inflight.get(path);
+      const p = request(path).finally(() => inflight.delete(path));
+      inflight.set(path, p);
+      return p;
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createSpotifyClient } from "./spotifyClient";
+
+// =====================
+// Local stub API: each path answers from a queue of [status, body, headers]
+// =====================
+const replies = new Map(); // path -> [[status, body?, headers?], …]
+const hits = new Map();    // path -> request count
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) ?? 0) + 1);
+    const queue = replies.get(req.url) ?? [];
+    const [status, body, headers = {}] = queue.length > 1 ? queue.shift() : queue[0] ?? [404];
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function client(opts = {}) {
+  return createSpotifyClient({
+    baseUrl,
+    getToken: () => ({ access_token: "t" }),
+    sleep: async () => {},
+    ...opts,
+  });
+}
+
+test("returns JSON, and null on 204", async () => {
+  replies.set("/me", [[200, { id: "me" }]]);
+  replies.set("/empty", [[204]]);
+  assert.deepEqual(await client().get("/me"), { id: "me" });
+  assert.equal(await client().get("/empty"), null);
+});
+
+test("retries a 5xx, then succeeds", async () => {
+  replies.set("/flaky", [[503], [502], [200, { ok: true }]]);
+  assert.deepEqual(await client().get("/flaky"), { ok: true });
+  assert.equal(hits.get("/flaky"), 3);
+});
+
+test("exhausted 5xx retries throw the status without retryMs", async () => {
+  replies.set("/down", [[503]]);
+  await assert.rejects(client({ maxRetries: 2 }).get("/down"), (err) => {
+    assert.equal(err.code, 503);
+    assert.equal("retryMs" in err, false);
+    return true;
+  });
+  assert.equal(hits.get("/down"), 3);
+});
+
+test("exhausted network retries throw code 0 without retryMs", async () => {
+  const dead = client({ baseUrl: "http://127.0.0.1:1", maxRetries: 1 });
+  await assert.rejects(dead.get("/me"), (err) => {
+    assert.equal(err.code, 0);
+    assert.equal("retryMs" in err, false);
+    return true;
+  });
+});
+
+test("429 is not retried and carries Retry-After as retryMs", async () => {
+  replies.set("/limited", [[429, undefined, { "Retry-After": "7" }]]);
+  await assert.rejects(client().get("/limited"), { code: 429, retryMs: 7000 });
+  assert.equal(hits.get("/limited"), 1);
+
+  const at = new Date(Date.now() + 60_000).toUTCString();
+  replies.set("/limited-until", [[429, undefined, { "Retry-After": at }]]);
+  await assert.rejects(client().get("/limited-until"), (err) => {
+    assert.ok(err.retryMs > 55_000 && err.retryMs <= 60_000, String(err.retryMs));
+    return true;
+  });
+});
+
+test("401 refreshes once and retries with the new token", async () => {
+  let token = { access_token: "old" };
+  replies.set("/auth", [[401], [200, { ok: true }]]);
+  const c = client({
+    getToken: () => token,
+    refresh: async () => (token = { access_token: "new" }),
+  });
+  assert.deepEqual(await c.get("/auth"), { ok: true });
+  assert.equal(token.access_token, "new");
+
+  replies.set("/denied", [[401]]);
+  await assert.rejects(c.get("/denied"), { code: 401 });
+  assert.equal(hits.get("/denied"), 2);
+});
+
+test("concurrent identical GETs share one request", async () => {
+  replies.set("/shared", [[200, { n: 1 }]]);
+  const c = client();
+  const [a, b] = await Promise.all([c.get("/shared"), c.get("/shared")]);
+  assert.equal(a, b);
+  assert.equal(hits.get("/shared"), 1);
+});
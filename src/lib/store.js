@@ -0,0 +1,16 @@
+// =====================
+// Small storage utils (JSON in Web Storage)
+// =====================
+function makeStore(getStorage) {
+  return {
+    set(key, val) { getStorage().setItem(key, JSON.stringify(val)); },
+    get(key) { const x = getStorage().getItem(key); try { return x ? JSON.parse(x) : null; } catch { return null; } },
+    del(key) { getStorage().removeItem(key); },
+    keys() { const s = getStorage(); return Array.from({ length: s.length }, (_, i) => s.key(i)); },
+  };
+}
+
+// Shared by every tab on this origin
+export const store = makeStore(() => localStorage);
+// Per-tab, survives same-tab navigations (e.g. an OAuth redirect)
+export const sessionStore = makeStore(() => sessionStorage);
@@ -0,0 +1,24 @@
+// =====================
+// Last-shown tiles per grid, so a reload paints before the first poll
+// =====================
+import { store } from "./store";
+
+const KEY_PREFIX = "tiles:";
+
+export function loadTiles(cacheKey) {
+  const saved = store.get(KEY_PREFIX + cacheKey);
+  return Array.isArray(saved) ? saved.filter((t) => t?.id && t?.src) : [];
+}
+
+/** Stores remote URLs (not this session's object URLs) and drops palettes. */
+export function saveTiles(cacheKey, tiles) {
+  try {
+    store.set(
+      KEY_PREFIX + cacheKey,
+      // undefined fields are dropped by JSON
+      tiles.map((t) => ({ ...t, src: t.remoteSrc ?? t.src, remoteSrc: undefined, palette: undefined }))
+    );
+  } catch {
+    // storage full: next load just starts empty
+  }
+}
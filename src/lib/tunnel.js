@@ -0,0 +1,160 @@
+// =====================
+// Tunnel geometry shared by the CSS and Canvas renderers
+// =====================
+import { seededRandom } from "./seededRandom";
+
+export const DEFAULT_KNOBS = {
+  LAYERS: 26,
+  ROT_STEP: Math.PI / 200,
+  GROWTH: 1.1,
+  FRONT_FACTOR: 0.55,
+  SPIN_SPEED: 0.15,     // rad/s the whole tunnel turns
+  ZOOM_SPEED: 0.25,     // layers/s flowing outward ("into" the tunnel); < 0 reverses
+  BREATHE: 0.03,        // scale pulse amplitude (0.03 = ±3%)
+  BREATHE_RATE: 0.1,    // pulses per second
+};
+
+// What RecentGrid tiles use unless overridden: a shallower tunnel with a
+// smaller front cover, so it reads at tile size
+export const GRID_KNOBS = { ...DEFAULT_KNOBS, LAYERS: 17, FRONT_FACTOR: 0.25 };
+
+// Per-tile variation seeded from the tile id so it is stable across renders
+export function tileVariation(id) {
+  const rand = seededRandom(id);
+  return {
+    direction: rand() < 0.5 ? -1 : 1,
+    speed: 0.8 + rand() * 0.4,
+    phase: rand() * Math.PI * 2,
+  };
+}
+
+export const prefersReducedMotion = () =>
+  typeof window !== "undefined" && !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+
+// Pose used when nothing animates: layer i sits exactly at depth i
+export const STATIC_POSE = { zooming: false, frac: 1, spin: 0, breath: 1, growth: 0 };
+
+// Offsets added on top of the knobs by an external driver (audio input):
+// pulse/growth are instantaneous, spin (rad) and zoom (layers) accumulate
+export const NO_DRIVE = { pulse: 0, growth: 0, spin: 0, zoom: 0 };
+
+// Live pointer / tilt parallax when nothing is tracking (see ./parallax)
+export const NO_BIAS = { biasX: 0, biasY: 0 };
+
+/**
+ * Pixel offsets of the back stack and the front square: the tunnel's own
+ * biasX/biasY plus the live parallax bias.
+ */
+export function tunnelOffsets({ biasX = 0, biasY = 0, centerFront = true }, live = NO_BIAS) {
+  const offX = (biasX + live.biasX) * 0.02;
+  const offY = (biasY + live.biasY) * 0.02;
+  return { offX, offY, frontOffX: centerFront ? 0 : offX, frontOffY: centerFront ? 0 : offY };
+}
+
+/** Pose of the whole tunnel at time t (seconds on the shared clock). */
+export function tunnelPose(
+  t,
+  { ZOOM_SPEED, SPIN_SPEED, BREATHE, BREATHE_RATE, speed = 1, phase = 0, direction = 1 },
+  drive = NO_DRIVE
+) {
+  const zoom = ZOOM_SPEED * speed;
+  const cycle = t * zoom + drive.zoom;
+  const zooming = zoom !== 0 || drive.zoom !== 0;
+  return {
+    zooming,
+    // 0..1 progress of each layer toward the next one's size
+    frac: zooming ? ((cycle % 1) + 1) % 1 : 1,
+    spin: (t * SPIN_SPEED + drive.spin) * speed * direction,
+    breath: (1 + BREATHE * Math.sin(2 * Math.PI * BREATHE_RATE * t + phase)) * (1 + drive.pulse),
+    growth: drive.growth,
+  };
+}
+
+/** Rotation (rad) and scale (relative to the base square) of back layer i. */
+export function layerPlacement(i, pose, { ROT_STEP, GROWTH, FRONT_FACTOR, direction = 1 }) {
+  const depth = i - 1 + pose.frac;
+  return {
+    rot: depth * ROT_STEP * direction + pose.spin,
+    scale: FRONT_FACTOR * Math.pow(GROWTH + (pose.growth ?? 0), depth) * pose.breath,
+  };
+}
+
+// outermost layer fades as it leaves so the wrap-around is invisible
+export const layerOpacity = (i, pose, LAYERS) => (pose.zooming && i === LAYERS - 1 ? 1 - pose.frac : 1);
+
+// Blur grows with depth, same as the CSS drop-shadow
+export const layerShadowBlur = (i) => 20 + i * 0.6;
+
+// =====================
+// Canvas2D drawing (main thread or OffscreenCanvas worker)
+// =====================
+// "background-size: cover" for a square target
+function coverRect(image) {
+  const w = image.width;
+  const h = image.height;
+  const side = Math.min(w, h);
+  return [(w - side) / 2, (h - side) / 2, side, side];
+}
+
+/**
+ * Paint one tunnel frame.
+ * opts: { width, height, base, dpr, offX, offY, frontOffX, frontOffY,
+ *         background, shadowColor, shadows, direction, pose, ...knobs }
+ * `base` is the unscaled square size in device pixels (CSS uses min(100vmin, 140vh)).
+ */
+export function drawTunnel(ctx, image, opts) {
+  const { width, height, base, dpr = 1, background = "#000", shadows = true, pose = STATIC_POSE } = opts;
+  const shadowColor = opts.shadowColor ?? "rgba(0,0,0,0.7)";
+  const { LAYERS, FRONT_FACTOR } = opts;
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.shadowColor = "transparent";
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  if (!image) return;
+
+  const src = coverRect(image);
+  const half = base / 2;
+  const cx = width / 2;
+  const cy = height / 2;
+
+  const square = (x, y, rot, scale) => {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.translate(x, y);
+    ctx.rotate(rot);
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, src[0], src[1], src[2], src[3], -half, -half, base, base);
+  };
+
+  // Back stack, outermost first
+  const bx = cx + (opts.offX ?? 0) * dpr;
+  const by = cy + (opts.offY ?? 0) * dpr;
+  for (let i = LAYERS - 1; i >= 1; i--) {
+    const { rot, scale } = layerPlacement(i, pose, opts);
+    ctx.globalAlpha = layerOpacity(i, pose, LAYERS);
+    if (shadows) {
+      // shadow offsets ignore the transform, so they stay in device pixels
+      ctx.shadowColor = shadowColor;
+      ctx.shadowOffsetX = 20 * dpr;
+      ctx.shadowOffsetY = 20 * dpr;
+      ctx.shadowBlur = layerShadowBlur(i) * dpr;
+    }
+    square(bx, by, rot, scale);
+  }
+
+  // Front-most square
+  ctx.globalAlpha = 1;
+  if (shadows) {
+    ctx.shadowColor = "rgba(0,0,0,0.5)";
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 2 * dpr;
+    ctx.shadowBlur = 6 * dpr;
+  }
+  square(
+    cx + (opts.frontOffX ?? 0) * dpr,
+    cy + (opts.frontOffY ?? 0) * dpr,
+    pose.spin,
+    FRONT_FACTOR * pose.breath
+  );
+}
@@ -0,0 +1,158 @@
+// =====================
+// Canvas tunnel renderers (main thread / OffscreenCanvas worker)
+// =====================
+// Both expose the same small interface so AlbumTunnelCanvas doesn't care
+// where drawing happens:
+//   setImage(bitmapOrImage | null), update(props), dispose()
+// props carry biasX/biasY/centerFront; with `parallax` the live pointer /
+// tilt bias is added on every frame.
+import { subscribeFrame, frameTime } from "./frameClock";
+import { drawTunnel, tunnelPose, tunnelOffsets, STATIC_POSE, NO_BIAS } from "./tunnel";
+import { audioDrive } from "./audioInput";
+import { parallaxBias } from "./parallax";
+
+export const supportsOffscreen = () =>
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  "transferControlToOffscreen" in HTMLCanvasElement.prototype &&
+  typeof createImageBitmap === "function";
+
+/**
+ * Load and decode a cover once. Prefers an ImageBitmap (cheap to draw, and
+ * transferable to the worker); falls back to the decoded <img>.
+ */
+export async function loadTunnelImage(src) {
+  const img = new Image();
+  img.decoding = "async";
+  img.src = src;
+  await img.decode();
+  if (typeof createImageBitmap !== "function") return img;
+  try {
+    return await createImageBitmap(img);
+  } catch {
+    return img;
+  }
+}
+
+// ---------- main thread ----------
+function createMainRenderer(canvas) {
+  const ctx = canvas.getContext("2d");
+  let image = null;
+  let props = null;
+  let unsubscribe = null;
+
+  const draw = (t) => {
+    if (!props) return;
+    if (canvas.width !== props.width) canvas.width = props.width;
+    if (canvas.height !== props.height) canvas.height = props.height;
+    const pose = props.moving ? tunnelPose(t, props, audioDrive()) : STATIC_POSE;
+    const offsets = tunnelOffsets(props, props.parallax ? parallaxBias() : NO_BIAS);
+    drawTunnel(ctx, image, { ...props, ...offsets, pose });
+  };
+
+  const syncClock = () => {
+    const live = props?.moving || props?.parallax;
+    if (live && !unsubscribe) unsubscribe = subscribeFrame(draw);
+    if (!live && unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  return {
+    setImage(next) {
+      image?.close?.();
+      image = next;
+      draw(frameTime());
+    },
+    update(next) {
+      props = next;
+      syncClock();
+      draw(frameTime());
+    },
+    dispose() {
+      unsubscribe?.();
+      unsubscribe = null;
+      image?.close?.();
+      image = null;
+    },
+  };
+}
+
+// ---------- worker ----------
+let worker = null;
+let workerTunnels = 0;
+let workerClock = null;
+let nextId = 1;
+
+function acquireWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("../workers/tunnelWorker.js", import.meta.url), { type: "module" });
+  }
+  if (workerTunnels++ === 0) {
+    // one frame message per tick for every offscreen tunnel
+    workerClock = subscribeFrame((t) =>
+      worker.postMessage({ type: "frame", t, drive: audioDrive(), bias: parallaxBias() })
+    );
+  }
+  return worker;
+}
+
+function releaseWorker() {
+  if (--workerTunnels > 0) return;
+  workerClock?.();
+  workerClock = null;
+}
+
+// The worker can only take ImageBitmaps. An <img> that createImageBitmap
+// turned down (e.g. an SVG without a size) is rasterized through a canvas.
+const FALLBACK_SIZE = 640;
+async function toBitmap(image) {
+  if (!image || image instanceof ImageBitmap) return image;
+  const c = document.createElement("canvas");
+  c.width = image.naturalWidth || FALLBACK_SIZE;
+  c.height = image.naturalHeight || FALLBACK_SIZE;
+  c.getContext("2d").drawImage(image, 0, 0, c.width, c.height);
+  return createImageBitmap(c);
+}
+
+function createWorkerRenderer(canvas) {
+  const offscreen = canvas.transferControlToOffscreen();
+  const id = nextId++;
+  const w = acquireWorker();
+  w.postMessage({ type: "add", id, canvas: offscreen }, [offscreen]);
+  let imageSeq = 0; // a slow conversion must not replace a newer cover
+  let disposed = false;
+
+  return {
+    setImage(next) {
+      const seq = ++imageSeq;
+      toBitmap(next)
+        .catch(() => null)
+        .then((bitmap) => {
+          if (disposed || seq !== imageSeq) return bitmap?.close();
+          w.postMessage({ type: "image", id, bitmap }, bitmap ? [bitmap] : []);
+        });
+    },
+    update(props) {
+      w.postMessage({ type: "props", id, props });
+    },
+    dispose() {
+      disposed = true;
+      w.postMessage({ type: "remove", id });
+      releaseWorker();
+    },
+  };
+}
+
+/** Pick a renderer for `canvas`; offscreen silently falls back to main thread. */
+export function createTunnelRenderer(canvas, { offscreen = false } = {}) {
+  if (offscreen && supportsOffscreen()) {
+    try {
+      return createWorkerRenderer(canvas);
+    } catch {
+      // fall through to the main thread
+    }
+  }
+  return createMainRenderer(canvas);
+}
@@ -0,0 +1,28 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  audioSource,
+  setAudioOptions,
+  startAudioInput,
+  stopAudioInput,
+  subscribeAudio,
+} from "./audioInput";
+
+/**
+ * The page's audio input as React state. `options` (from
+ * audioOptionsFromSettings) apply live; the input stops on unmount.
+ * Returns { kind: "mic" | "tab" | null, error, start(kind), stop }.
+ */
+export function useAudioInput(options) {
+  const [state, setState] = useState(() => ({ kind: audioSource(), error: null }));
+
+  useEffect(() => subscribeAudio(setState), []);
+  useEffect(() => () => stopAudioInput(), []);
+  useEffect(() => setAudioOptions(options), [options]);
+
+  const start = useCallback(
+    (kind) => startAudioInput(kind, options).catch(() => {}), // failure arrives through subscribeAudio
+    [options]
+  );
+
+  return { ...state, start, stop: stopAudioInput };
+}
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * The HUD state for the latest RecentGrid outcome ({ ok, retryMs, reason?, error? }).
+ * Client errors carry `code`: 0 for a network failure, else the HTTP status.
+ * Only a "rate-limit" wait is a backoff; other waits read as an error.
+ */
+export function connectionState({ online = true, authError = "", last = null } = {}) {
+  if (!online) return "offline";
+  if (authError || last?.error?.code === 401) return "auth";
+  if (last?.error) return last.error.code === 0 ? "offline" : "error";
+  if (last && !last.ok) return last.reason === "rate-limit" ? "backoff" : "error";
+  return "ok";
+}
+
+/**
+ * Folds RecentGrid fetch outcomes (pass `onStatus` to the grid) and the
+ * browser's online flag into one state for the status HUD:
+ *   "ok" | "backoff" | "offline" | "auth" | "error"
+ * authError is a page-level auth failure, e.g. a rejected token refresh.
+ */
+export function useConnectionStatus({ authError = "" } = {}) {
+  const [online, setOnline] = useState(() => typeof navigator === "undefined" || navigator.onLine !== false);
+  const [last, setLast] = useState(null);       // latest { at, ok, retryMs, reason?, error? }
+  const [lastOkAt, setLastOkAt] = useState(null);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  const onStatus = useCallback((outcome) => {
+    setLast(outcome);
+    if (outcome.ok) setLastOkAt(outcome.at);
+  }, []);
+
+  return {
+    state: connectionState({ online, authError, last }),
+    lastOkAt,
+    retryAt: last && !last.ok && last.retryMs != null ? last.at + last.retryMs : null,
+    message: authError || last?.error?.message || "",
+    onStatus,
+  };
+}
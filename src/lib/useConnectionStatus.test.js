@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { connectionState } from "./useConnectionStatus";
+import { createSpotifyClient } from "./spotifyClient";
+
+// What RecentGrid reports when its source throws (see its polling loop)
+const failed = (error) => ({ at: Date.now(), ok: false, retryMs: 30000, error });
+
+function clientFailingWith(fetchImpl) {
+  return createSpotifyClient({
+    getToken: () => ({ access_token: "t" }),
+    fetchImpl,
+    maxRetries: 1,
+    sleep: async () => {},
+  });
+}
+
+test("a Spotify 503 after retries shows as an error", async () => {
+  const client = clientFailingWith(async () => new Response("", { status: 503 }));
+  const error = await client.get("/me/player/recently-played").catch((e) => e);
+  assert.equal(connectionState({ last: failed(error) }), "error");
+});
+
+test("a Spotify network failure after retries shows as offline", async () => {
+  const client = clientFailingWith(async () => {
+    throw new TypeError("fetch failed");
+  });
+  const error = await client.get("/me/player/recently-played").catch((e) => e);
+  assert.equal(connectionState({ last: failed(error) }), "offline");
+});
+
+test("only a rate-limit wait is a backoff", () => {
+  assert.equal(connectionState({ last: { at: 0, ok: false, retryMs: 15000, reason: "rate-limit" } }), "backoff");
+  assert.equal(connectionState({ last: { at: 0, ok: false, retryMs: 30000, reason: "unavailable" } }), "error");
+  assert.equal(connectionState({ last: { at: 0, ok: true, retryMs: 5000 } }), "ok");
+});
+
+test("auth failures and the browser's offline flag win", () => {
+  const err = Object.assign(new Error("Unauthorized"), { code: 401 });
+  assert.equal(connectionState({ last: failed(err) }), "auth");
+  assert.equal(connectionState({ authError: "Session expired" }), "auth");
+  assert.equal(connectionState({ online: false, last: failed(err) }), "offline");
+  assert.equal(connectionState({ last: { at: 0, ok: true } }), "ok");
+});
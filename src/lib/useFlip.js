@@ -0,0 +1,45 @@
+import { useLayoutEffect, useRef } from "react";
+
+/**
+ * FLIP animation for keyed children that change position: elements marked
+ * with data-flip-id glide from their previous box to the new one, and ids
+ * seen for the first time grow in. Runs whenever `order` (a string of ids)
+ * changes; `enabled=false` just records positions.
+ */
+export function useFlip(containerRef, order, { enabled = true, duration = 700 } = {}) {
+  const rects = useRef(new Map()); // id -> DOMRect from the previous layout
+
+  useLayoutEffect(() => {
+    const root = containerRef.current;
+    if (!root) return;
+    const next = new Map();
+    for (const el of root.querySelectorAll("[data-flip-id]")) {
+      const id = el.dataset.flipId;
+      const box = el.getBoundingClientRect();
+      next.set(id, box);
+      if (!enabled || !el.animate || !rects.current.size) continue;
+
+      const prev = rects.current.get(id);
+      if (!prev) {
+        el.animate(
+          [{ opacity: 0, transform: "scale(0.85)" }, { opacity: 1, transform: "none" }],
+          { duration, easing: "ease-out" }
+        );
+        continue;
+      }
+      const dx = prev.left - box.left;
+      const dy = prev.top - box.top;
+      const sx = box.width ? prev.width / box.width : 1;
+      const sy = box.height ? prev.height / box.height : 1;
+      if (Math.abs(dx) < 1 && Math.abs(dy) < 1 && Math.abs(sx - 1) < 0.01 && Math.abs(sy - 1) < 0.01) continue;
+      el.animate(
+        [
+          { transformOrigin: "0 0", transform: `translate(${dx}px, ${dy}px) scale(${sx}, ${sy})` },
+          { transformOrigin: "0 0", transform: "none" },
+        ],
+        { duration, easing: "ease-in-out" }
+      );
+    }
+    rects.current = next;
+  }, [containerRef, order, enabled, duration]);
+}
@@ -0,0 +1,26 @@
+import { useEffect, useMemo, useState } from "react";
+import { gridPropsFromSettings, loadSettings, saveSettings, settingsFromSearch } from "./settings";
+
+/**
+ * A page's grid settings: stored settings with the URL's on top (so a link
+ * configures a display without touching its storage). Edits are saved; URL
+ * values that were never changed stay out of storage.
+ * Returns { settings, setSettings, grid } where `grid` spreads onto RecentGrid.
+ */
+export function useGridSettings(searchParams) {
+  const [origin] = useState(() => ({ stored: loadSettings(), url: settingsFromSearch(searchParams) }));
+  const [initial] = useState(() => ({ ...origin.stored, ...origin.url }));
+  const [settings, setSettings] = useState(initial);
+
+  useEffect(() => {
+    if (settings === initial) return; // nothing edited yet
+    const kept = { ...settings };
+    for (const [key, value] of Object.entries(origin.url)) {
+      if (kept[key] === value) kept[key] = origin.stored[key];
+    }
+    saveSettings(kept);
+  }, [settings, initial, origin]);
+
+  const grid = useMemo(() => gridPropsFromSettings(settings), [settings]);
+  return { settings, setSettings, grid };
+}
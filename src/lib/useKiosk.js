@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useState } from "react";
+import { burnInOffset, inWindow } from "./kiosk";
+
+const TICK_MS = 30_000;
+const SLEPT_MS = 5 * 60_000;          // tick gap that means the machine slept
+const LONG_OFFLINE_MS = 2 * 60_000;   // reload after an outage this long
+
+/**
+ * Always-on display behaviour for a page; options from kioskFromSearch().
+ * Does nothing unless `enabled`. Returns what KioskFrame and RecentGrid need:
+ * { enabled, night, nightMode, cursorHidden, offset, pollMs(base), onTiles }.
+ * - fullscreen on load (or on the first tap/key, where a gesture is required)
+ * - Screen Wake Lock, re-acquired whenever the page becomes visible again
+ * - cursor hidden after `cursorHideMs` without pointer movement
+ * - reload after a long sleep or a long network outage
+ * - burn-in: content drifts a few px every `shiftEveryMs`
+ * - night window: dim/blank and poll `nightPollScale`× slower
+ * - no new tiles for `idleAfterMs`: poll `idlePollScale`× slower
+ */
+export function useKiosk(opts) {
+  const { enabled } = opts;
+  const [now, setNow] = useState(() => Date.now());
+  const [cursorHidden, setCursorHidden] = useState(false);
+  const [lastChange, setLastChange] = useState(() => Date.now());
+
+  // Clock: drives night / idle / burn-in, and notices sleeps
+  useEffect(() => {
+    if (!enabled) return;
+    let last = Date.now();
+    const handle = setInterval(() => {
+      const t = Date.now();
+      if (t - last > SLEPT_MS) window.location.reload();
+      last = t;
+      setNow(t);
+    }, TICK_MS);
+    return () => clearInterval(handle);
+  }, [enabled]);
+
+  // Fullscreen: browsers usually insist on a user gesture, so retry on input
+  useEffect(() => {
+    if (!enabled) return;
+    const root = document.documentElement;
+    const enter = () => {
+      if (!document.fullscreenElement && root.requestFullscreen) root.requestFullscreen().catch(() => {});
+    };
+    enter();
+    window.addEventListener("pointerdown", enter);
+    window.addEventListener("keydown", enter);
+    return () => {
+      window.removeEventListener("pointerdown", enter);
+      window.removeEventListener("keydown", enter);
+    };
+  }, [enabled]);
+
+  // Wake lock: released by the browser when the tab is hidden
+  useEffect(() => {
+    if (!enabled || !navigator.wakeLock) return;
+    let lock = null;
+    let stop = false;
+    const acquire = async () => {
+      if (stop || document.visibilityState !== "visible" || (lock && !lock.released)) return;
+      try {
+        lock = await navigator.wakeLock.request("screen");
+        if (stop) lock.release();
+      } catch {
+        // denied (battery saver, no gesture yet): try again on the next visibility change
+      }
+    };
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      stop = true;
+      document.removeEventListener("visibilitychange", acquire);
+      lock?.release().catch(() => {});
+    };
+  }, [enabled]);
+
+  // Cursor: hide after inactivity
+  useEffect(() => {
+    if (!enabled) return;
+    let handle = null;
+    const wake = () => {
+      setCursorHidden(false);
+      clearTimeout(handle);
+      handle = setTimeout(() => setCursorHidden(true), opts.cursorHideMs);
+    };
+    wake();
+    window.addEventListener("pointermove", wake);
+    return () => {
+      clearTimeout(handle);
+      window.removeEventListener("pointermove", wake);
+    };
+  }, [enabled, opts.cursorHideMs]);
+
+  // Network: short drops are the grid's backoff; long ones get a fresh start
+  useEffect(() => {
+    if (!enabled) return;
+    let offlineSince = navigator.onLine === false ? Date.now() : null;
+    const down = () => { offlineSince ??= Date.now(); };
+    const up = () => {
+      if (offlineSince != null && Date.now() - offlineSince > LONG_OFFLINE_MS) window.location.reload();
+      offlineSince = null;
+    };
+    window.addEventListener("offline", down);
+    window.addEventListener("online", up);
+    return () => {
+      window.removeEventListener("offline", down);
+      window.removeEventListener("online", up);
+    };
+  }, [enabled]);
+
+  // Activity: RecentGrid only calls onTiles when something changed
+  const onTiles = useCallback(() => setLastChange(Date.now()), []);
+
+  const night = enabled && inWindow(new Date(now), opts.night);
+  const idle = enabled && now - lastChange > opts.idleAfterMs;
+  const scale = night ? opts.nightPollScale : idle ? opts.idlePollScale : 1;
+  const pollMs = useCallback((base) => base * scale, [scale]);
+
+  return {
+    enabled,
+    night,
+    nightMode: opts.nightMode,
+    cursorHidden: enabled && cursorHidden,
+    offset: enabled ? burnInOffset(Math.floor(now / opts.shiftEveryMs), opts.shiftRadius) : { x: 0, y: 0 },
+    pollMs,
+    onTiles: enabled ? onTiles : undefined,
+  };
+}
@@ -0,0 +1,11 @@
+import { useEffect, useState } from "react";
+
+// Re-render relative times ("played 12 min ago") without refetching
+export function useNow(intervalMs = 30_000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const handle = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(handle);
+  }, [intervalMs]);
+  return now;
+}
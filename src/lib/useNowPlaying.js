@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Polls a now-playing fetcher and keeps the latest result.
+ * fetcher: () => Promise<{ tile?: {id, src} | null, playing?: boolean, retryMs?: number }>
+ * The fetcher picks its own cadence through retryMs (fast while playing,
+ * slow when paused/idle); idleMs is the fallback and the error backoff.
+ * A result without `tile` (e.g. a backoff) keeps the last tile and state.
+ */
+export function useNowPlaying(fetcher, { idleMs = 30000 } = {}) {
+  const [state, setState] = useState({ tile: null, playing: false });
+
+  useEffect(() => {
+    if (typeof fetcher !== "function") return;
+    let stop = false;
+    let handle = null;
+
+    const loop = async () => {
+      let wait = idleMs;
+      try {
+        const { tile, playing = false, retryMs = null } = (await fetcher()) || {};
+        if (stop) return;
+        // only re-render when something visible changed
+        if (tile !== undefined) {
+          setState((prev) =>
+            prev.playing === playing && prev.tile?.id === tile?.id && prev.tile?.src === tile?.src
+              ? prev
+              : { tile, playing }
+          );
+        }
+        wait = retryMs ?? idleMs;
+      } catch {
+        if (stop) return; // keep the last known state, retry later
+      }
+      handle = setTimeout(loop, Math.max(0, wait));
+    };
+
+    loop();
+    return () => {
+      stop = true;
+      clearTimeout(handle);
+    };
+  }, [fetcher, idleMs]);
+
+  return state;
+}
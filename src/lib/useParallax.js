@@ -0,0 +1,20 @@
+import { useEffect } from "react";
+import { startParallax } from "./parallax";
+import { prefersReducedMotion } from "./tunnel";
+
+/**
+ * Pointer / device-tilt parallax for the tunnels (see lib/parallax.js) while
+ * the calling component is mounted. Off under prefers-reduced-motion.
+ * Returns whether it is on; pass that to the tunnels as `parallax`, and they
+ * read the bias themselves each frame.
+ */
+export function useParallax({ enabled = true, strength = 1500 } = {}) {
+  const on = enabled && !prefersReducedMotion();
+
+  useEffect(() => {
+    if (!on) return;
+    return startParallax({ strength });
+  }, [on, strength]);
+
+  return on;
+}
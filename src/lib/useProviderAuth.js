@@ -0,0 +1,174 @@
+import { useEffect, useRef, useState } from "react";
+import { createAuthSession, isTokenFresh } from "./authSession";
+import { createPkceAuth } from "./pkce";
+
+// One session per provider for the page's lifetime: each opens a
+// BroadcastChannel, and PKCE refreshes must share one lock.
+const sessions = new Map(); // provider id -> { session, pkce? }
+
+function providerSession({ id, auth }) {
+  if (auth.type === "none") return null;
+  if (!sessions.has(id)) {
+    if (auth.type === "pkce") {
+      const pkce = createPkceAuth({ ...auth, id });
+      sessions.set(id, { session: pkce.session, pkce });
+    } else {
+      sessions.set(id, { session: createAuthSession({ key: auth.storageKey }) });
+    }
+  }
+  return sessions.get(id);
+}
+
+/** Stored credentials -> what the provider works with (PKCE: the token). */
+function restore(provider, stored) {
+  if (stored == null) return null;
+  const value = provider.auth.restore ? provider.auth.restore(stored) : stored;
+  if (provider.auth.type === "pkce") return value?.access_token || value?.refresh_token ? value : null;
+  return value;
+}
+
+/** Check and tidy connect-form values against the provider's settings fields. */
+export function credentialsFromForm(provider, values) {
+  const out = {};
+  for (const field of provider.settings) {
+    const raw = String(values[field.key] ?? "").trim();
+    const value = field.normalize ? field.normalize(raw) : raw;
+    if (field.required && !value) {
+      const err = new Error(`${field.label} is required.`);
+      err.code = "missing-field";
+      err.field = field.key;
+      throw err;
+    }
+    out[field.key] = value;
+  }
+  return out;
+}
+
+/**
+ * Credentials for a provider (see providers/index.js), whatever its auth
+ * strategy:
+ * - pkce: token session shared by every tab, redirect handling, refresh
+ *   ahead of expiry; `login(extraScopes)`, `getToken()` and `refresh()` for
+ *   the provider's API client
+ * - apiKey / token: the connect form's values, stored and synced across tabs
+ * - none: nothing to sign in to, or in-memory credentials handed to
+ *   `connect` (released through the provider's `release` when dropped)
+ * `credentials` is null while signed out.
+ */
+export function useProviderAuth(provider) {
+  const { auth } = provider;
+  const [linked] = useState(() => providerSession(provider));
+  const [credentials, setCredentials] = useState(() => {
+    if (linked) return restore(provider, linked.session.get());
+    return provider.Connect ? null : {};
+  });
+  const [error, setError] = useState("");
+  const [authError, setAuthError] = useState(""); // refresh rejected: needs a new login
+  const configError = auth.missingConfig?.() || "";
+
+  // Latest credentials for callbacks that outlive renders
+  const credentialsRef = useRef(credentials);
+  credentialsRef.current = credentials;
+
+  // Follow the session: sign-ins, refreshes and logouts from any tab land here
+  useEffect(() => {
+    if (!linked) return;
+    setCredentials(restore(provider, linked.session.get()));
+    return linked.session.subscribe((stored) => {
+      setCredentials(restore(provider, stored));
+      setAuthError(""); // a new token (e.g. signed in again elsewhere) clears a dead session
+    });
+  }, [linked, provider]);
+
+  // In-memory credentials are released when they're dropped or the page goes
+  useEffect(() => {
+    if (linked || !credentials || !provider.release) return;
+    return () => provider.release(credentials);
+  }, [linked, credentials, provider]);
+
+  // PKCE: finish a login redirect
+  useEffect(() => {
+    if (!linked?.pkce) return;
+    linked.pkce.completeLogin().catch((e) => setError(e.message));
+  }, [linked]);
+
+  // PKCE: refresh once across every tab; null (and authError) if rejected.
+  // Stable, so API clients can hold on to it.
+  const [pkceCalls] = useState(() => {
+    const refresh = async (t = credentialsRef.current) => {
+      if (!t?.refresh_token) return null;
+      try {
+        const next = await linked.session.refresh(t);
+        if (next) {
+          credentialsRef.current = next;
+          setAuthError("");
+        }
+        return next;
+      } catch (e) {
+        setAuthError(`Refresh error: ${e.message}`);
+        return null;
+      }
+    };
+    const getToken = async () => {
+      const t = credentialsRef.current;
+      if (t?.refresh_token && !isTokenFresh(t, 0)) return (await refresh(t)) ?? t;
+      return t;
+    };
+    return { refresh: () => refresh(), getToken };
+  });
+
+  // PKCE: top up now if needed, and again slightly before expiry
+  const refreshToken = auth.type === "pkce" ? credentials?.refresh_token : null;
+  const expiresAt = auth.type === "pkce" ? credentials?.expires_at : null;
+  useEffect(() => {
+    if (!refreshToken) return;
+    const token = credentialsRef.current;
+    if (!isTokenFresh(token, 60_000)) void pkceCalls.refresh();
+    const delay = Math.max(0, (expiresAt ?? 0) - Date.now() - 60_000);
+    const handle = setTimeout(() => pkceCalls.refresh(), delay);
+    return () => clearTimeout(handle);
+  }, [refreshToken, expiresAt, pkceCalls]);
+
+  const login = (extraScopes) => {
+    setError("");
+    linked.pkce.login(extraScopes).catch((e) => setError(e.message));
+  };
+
+  /** Sign in: PKCE redirects; the others take the connect form's values. */
+  function connect(values = {}) {
+    if (configError) return;
+    if (auth.type === "pkce") {
+      login();
+      return;
+    }
+    try {
+      const next = auth.type === "none" ? values : credentialsFromForm(provider, values);
+      setError("");
+      if (linked) linked.session.set(next);
+      else setCredentials(next);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  /** Sign out (every tab, for stored credentials). */
+  function disconnect() {
+    if (linked) linked.session.clear();
+    else if (provider.Connect) setCredentials(null);
+  }
+
+  return {
+    type: auth.type,
+    credentials,
+    connected: !!credentials,
+    connect,
+    disconnect,
+    error,
+    setError,
+    authError,
+    configError,
+    ...(auth.type === "pkce"
+      ? { login, refresh: pkceCalls.refresh, getToken: pkceCalls.getToken, redirectUri: linked.pkce.redirectUri }
+      : {}),
+  };
+}
@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from "react";
+import { createRemoteLink, command, relayUrl } from "./remote";
+import { sessionStore } from "./store";
+import { setFramesPaused } from "./frameClock";
+import { currentWall } from "./wallExport";
+import { loadPresets, presetSettings, sanitizeSettings } from "./settings";
+import { shareableSrc } from "./format";
+import { placeTiles, resolveLayout } from "../components/layouts";
+
+const STATUS_EVERY_MS = 10_000;
+
+// Stable per tab, so a remote keeps its target across reloads
+function displayId() {
+  let id = sessionStore.get("remote_display_id");
+  if (!id) {
+    id = Math.random().toString(36).slice(2, 10);
+    sessionStore.set("remote_display_id", id);
+  }
+  return id;
+}
+
+// Status goes to every client of the relay, so covers leave without the
+// Plex token (a Plex thumbnail won't load on the remote; its metadata does)
+const slotTile = (t) =>
+  t?.src ? { id: t.id, src: shareableSrc(t.remoteSrc || t.src), album: t.album, track: t.track, artists: t.artists } : null;
+
+// What the grid shows right now, cell by cell (see wallExport.publishWall)
+function currentSlots() {
+  const wall = currentWall();
+  if (!wall) return [];
+  const layout = resolveLayout(wall.layout, { portrait: wall.portrait });
+  return placeTiles(layout, wall.hero, wall.recent, wall.pins).map((p) => slotTile(p.tile));
+}
+
+// A pinned album is one the remote saw in a status, so take the full tile
+// (with its working cover URL) from the wall; a remote-made tile as a fallback
+function pinnedTile(tile) {
+  const wall = currentWall();
+  const shown = wall ? [wall.hero, ...wall.recent, ...Object.values(wall.pins ?? {})] : [];
+  return shown.find((t) => t?.id === tile.id) ?? tile;
+}
+
+/**
+ * Makes a page controllable from /remote (protocol in lib/remote.js).
+ * Layout / settings / preset commands go through setSettings (and are saved
+ * like drawer edits); pause, refresh, pins and blank are this session only.
+ * Returns { paused, blanked, grid } where `grid` spreads onto RecentGrid and
+ * `blanked` goes to KioskFrame's `blank`.
+ */
+export function useRemoteDisplay({ name, settings, setSettings, searchParams }) {
+  const [paused, setPaused] = useState(false);
+  const [blanked, setBlanked] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [pins, setPins] = useState({});
+  const [id] = useState(displayId);
+  const linkRef = useRef(null);
+  const relay = relayUrl(searchParams);
+
+  // Read by the status sender, which outlives renders
+  const stateRef = useRef(null);
+  stateRef.current = { name, paused, blanked, pins, layout: settings.layout };
+
+  const sendStatus = () => {
+    const s = stateRef.current;
+    linkRef.current?.send(
+      command("status", {
+        from: id,
+        name: s.name,
+        path: window.location.pathname,
+        paused: s.paused,
+        blanked: s.blanked,
+        layout: s.layout,
+        slots: currentSlots(),
+        pins: Object.keys(s.pins).map(Number),
+        presets: Object.keys(loadPresets()),
+      })
+    );
+  };
+  const sendStatusRef = useRef(sendStatus);
+  sendStatusRef.current = sendStatus;
+
+  useEffect(() => {
+    const link = createRemoteLink({ relay });
+    linkRef.current = link;
+
+    const unsubscribe = link.subscribe((msg) => {
+      if (msg.type === "status" || (msg.to && msg.to !== id)) return;
+      switch (msg.type) {
+        case "layout":
+          setSettings((prev) => ({ ...prev, ...sanitizeSettings({ layout: msg.layout }) }));
+          break;
+        case "settings":
+          setSettings((prev) => ({ ...prev, ...sanitizeSettings(msg.settings) }));
+          break;
+        case "preset": {
+          const preset = loadPresets()[msg.name];
+          if (preset) setSettings(presetSettings(preset));
+          break;
+        }
+        case "pause":
+          setPaused(true);
+          break;
+        case "resume":
+          setPaused(false);
+          break;
+        case "refresh":
+          setRefreshKey((k) => k + 1);
+          break;
+        case "pin":
+          setPins((prev) => {
+            const next = { ...prev };
+            if (msg.tile) next[msg.slot] = pinnedTile(msg.tile);
+            else delete next[msg.slot];
+            return next;
+          });
+          break;
+        case "blank":
+          setBlanked(msg.on);
+          break;
+      }
+      // "hello" and every command get an answer
+      setTimeout(() => sendStatusRef.current(), 100);
+    });
+
+    const heartbeat = setInterval(() => sendStatusRef.current(), STATUS_EVERY_MS);
+    sendStatusRef.current();
+    return () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      link.close();
+      linkRef.current = null;
+    };
+  }, [relay, id, setSettings]);
+
+  useEffect(() => {
+    setFramesPaused(paused);
+    return () => setFramesPaused(false);
+  }, [paused]);
+
+  return { paused, blanked, grid: { paused, refreshKey, pins } };
+}
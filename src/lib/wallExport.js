@@ -0,0 +1,274 @@
+// =====================
+// Wall export: PNG posters and WebM recordings
+// =====================
+// Redraws the grid that is on screen (same tiles, layout, knobs, palettes
+// and tunnel poses) onto a canvas of any size with the Canvas2D tunnel
+// renderer, so nothing is re-fetched and the output doesn't depend on the
+// window. Covers are re-read as blobs through CORS (cached covers already
+// are same-origin object URLs) before they touch the canvas; one that can't
+// be read that way is drawn as a labelled blank, so the canvas is never
+// tainted and toBlob() keeps working.
+import { drawTunnel, tunnelPose, tileVariation, GRID_KNOBS } from "./tunnel";
+import { tileTheme } from "./colors";
+import { artistLine } from "./format";
+import { frameTime } from "./frameClock";
+import { audioDrive } from "./audioInput";
+import { resolveLayout, placeTiles } from "../components/layouts";
+
+export const POSTER_SIZES = [
+  { id: "1080p", label: "1920 × 1080 (16:9)", width: 1920, height: 1080 },
+  { id: "4k", label: "3840 × 2160 (4K)", width: 3840, height: 2160 },
+  { id: "square", label: "2048 × 2048 (1:1)", width: 2048, height: 2048 },
+  { id: "portrait", label: "1080 × 1920 (9:16)", width: 1080, height: 1920 },
+  { id: "a3", label: "4961 × 3508 (A3, 300 dpi)", width: 4961, height: 3508 },
+];
+
+const REFERENCE = 1080;     // CSS px sizes (gap, shadows) are relative to a 1080px-tall screen
+const MAX_VIDEO_SIDE = 1920; // larger recordings drop frames while encoding
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+// ---------- what's on screen ----------
+// RecentGrid publishes { layout, portrait, hero, recent, pins, knobs, gap,
+// gapColor, palettes } whenever one changes; the last mounted grid wins.
+let current = null;
+
+export function publishWall(wall) {
+  current = wall;
+  return () => {
+    if (current === wall) current = null;
+  };
+}
+
+export const currentWall = () => current;
+
+export const supportsRecording = () =>
+  typeof MediaRecorder !== "undefined" &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  "captureStream" in HTMLCanvasElement.prototype;
+
+// ---------- covers ----------
+async function readCover(src) {
+  const res = await fetch(src, { mode: "cors" });
+  if (!res.ok) throw new Error(String(res.status));
+  return createImageBitmap(await res.blob());
+}
+
+/** id -> ImageBitmap for every cover that can be read without tainting. */
+async function loadCovers(tiles) {
+  const covers = new Map();
+  await Promise.all(
+    tiles.map(async (t) => {
+      for (const src of [t.src, t.remoteSrc]) {
+        if (!src || covers.has(t.id)) continue;
+        try {
+          covers.set(t.id, await readCover(src));
+        } catch {
+          // no CORS / offline: try the next URL, else a blank
+        }
+      }
+    })
+  );
+  return covers;
+}
+
+// ---------- drawing ----------
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let s = text;
+  while (s.length > 1 && ctx.measureText(`${s}…`).width > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+// Same lines as TileOverlay's caption: track (or album), then album — artists
+function drawCaption(ctx, tile, x, y, w, h, unit) {
+  const title = tile.track || tile.album || "";
+  const subtitle = [tile.track ? tile.album : null, artistLine(tile)].filter(Boolean).join(" — ");
+  if (!title && !subtitle) return;
+  const pad = 12 * unit;
+  const barH = (subtitle && title ? 48 : 32) * unit;
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(x, y + h - barH, w, barH);
+  ctx.textBaseline = "top";
+  let ty = y + h - barH + 8 * unit;
+  if (title) {
+    ctx.fillStyle = "#fff";
+    ctx.font = `600 ${14 * unit}px ${FONT}`;
+    ctx.fillText(fitText(ctx, title, w - 2 * pad), x + pad, ty);
+    ty += 20 * unit;
+  }
+  if (subtitle) {
+    ctx.fillStyle = "#d4d4d4";
+    ctx.font = `${12 * unit}px ${FONT}`;
+    ctx.fillText(fitText(ctx, subtitle, w - 2 * pad), x + pad, ty);
+  }
+}
+
+function drawBlank(ctx, tile, w, h, unit) {
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = "#171717";
+  ctx.fillRect(0, 0, w, h);
+  ctx.fillStyle = "#737373";
+  ctx.font = `${14 * unit}px ${FONT}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(fitText(ctx, tile.album || "Cover unavailable", w - 24 * unit), w / 2, h / 2);
+  ctx.textAlign = "start";
+}
+
+/** Paint the whole wall at clock time t onto ctx (width × height device px). */
+function drawWall(ctx, wall, covers, { width, height, caption, t, drive, scratch }) {
+  const unit = Math.min(width, height) / REFERENCE;
+  const layout = resolveLayout(wall.layout, { portrait: height > width });
+  const gap = wall.gap * unit;
+  const colW = (width - gap * (layout.cols + 1)) / layout.cols;
+  const rowH = (height - gap * (layout.rows + 1)) / layout.rows;
+  const knobs = { ...GRID_KNOBS, ...wall.knobs };
+  const sctx = scratch.getContext("2d");
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = wall.gapColor || "#000";
+  ctx.fillRect(0, 0, width, height);
+
+  for (const { cell, tile } of placeTiles(layout, wall.hero, wall.recent, wall.pins)) {
+    const x = Math.round(gap + (cell.col - 1) * (colW + gap));
+    const y = Math.round(gap + (cell.row - 1) * (rowH + gap));
+    const w = Math.round(colW * (cell.colSpan ?? 1) + gap * ((cell.colSpan ?? 1) - 1));
+    const h = Math.round(rowH * (cell.rowSpan ?? 1) + gap * ((cell.rowSpan ?? 1) - 1));
+    if (w < 1 || h < 1) continue;
+    if (scratch.width !== w) scratch.width = w;
+    if (scratch.height !== h) scratch.height = h;
+
+    const image = covers.get(tile.id);
+    if (tile.src && !image) drawBlank(sctx, tile, w, h, unit);
+    else {
+      const variation = tileVariation(tile.id);
+      const theme = tileTheme(wall.palettes?.[tile.id]);
+      drawTunnel(sctx, image ?? null, {
+        ...knobs,
+        ...theme,
+        width: w,
+        height: h,
+        base: Math.min(width, height), // the CSS tunnel's min(100vmin, 140vh)
+        dpr: unit,
+        direction: variation.direction,
+        pose: tunnelPose(t, { ...knobs, ...variation }, drive),
+      });
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, 6 * unit);
+    ctx.clip();
+    ctx.drawImage(scratch, x, y);
+    if (caption && tile.src) drawCaption(ctx, tile, x, y, w, h, unit);
+    ctx.restore();
+  }
+}
+
+const wallTiles = (wall) => [
+  ...(wall.hero ? [wall.hero] : []),
+  ...wall.recent,
+  ...Object.values(wall.pins || {}),
+];
+
+const closeAll = (covers) => {
+  for (const bitmap of covers.values()) bitmap.close?.();
+};
+
+function noWall() {
+  const err = new Error("Nothing on screen to export yet");
+  err.code = "empty";
+  return err;
+}
+
+/**
+ * Render the wall as a PNG poster. The tunnels are frozen at the current
+ * frame (audio drive included). Returns { blob, missing } where `missing`
+ * counts covers that couldn't be read and were drawn blank.
+ */
+export async function renderPoster(wall, { width, height, caption = false }) {
+  if (!wall) throw noWall();
+  const covers = await loadCovers(wallTiles(wall));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  try {
+    drawWall(canvas.getContext("2d"), wall, covers, {
+      width, height, caption, t: frameTime(), drive: audioDrive(), scratch: document.createElement("canvas"),
+    });
+    const blob = await new Promise((resolve, reject) =>
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("PNG encoding failed"))), "image/png")
+    );
+    const missing = wallTiles(wall).filter((t) => t.src && !covers.has(t.id)).length;
+    return { blob, missing };
+  } finally {
+    closeAll(covers);
+  }
+}
+
+function recorderType() {
+  for (const type of ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]) {
+    if (MediaRecorder.isTypeSupported?.(type)) return type;
+  }
+  return "";
+}
+
+/**
+ * Record `seconds` of the animated wall to WebM. Sizes above 1920px on the
+ * long side are scaled down (aspect kept). onProgress(0..1) per frame.
+ * Time only advances while the tab is visible. Returns { blob, missing, width, height }.
+ */
+export async function recordWall(wall, { width, height, seconds = 10, fps = 30, caption = false, onProgress }) {
+  if (!wall) throw noWall();
+  if (!supportsRecording()) {
+    const err = new Error("This browser can't record a canvas (MediaRecorder)");
+    err.code = "unsupported";
+    throw err;
+  }
+  const fit = Math.min(1, MAX_VIDEO_SIDE / Math.max(width, height));
+  const w = Math.round((width * fit) / 2) * 2; // encoders want even sizes
+  const h = Math.round((height * fit) / 2) * 2;
+
+  const covers = await loadCovers(wallTiles(wall));
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const scratch = document.createElement("canvas");
+  const paint = (t) => drawWall(ctx, wall, covers, { width: w, height: h, caption, t, drive: audioDrive(), scratch });
+
+  const type = recorderType();
+  const recorder = new MediaRecorder(canvas.captureStream(fps), {
+    ...(type ? { mimeType: type } : {}),
+    videoBitsPerSecond: 8_000_000,
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = (e) => reject(e.error ?? new Error("Recording failed"));
+  });
+
+  // Its own timer, not the frame clock: that one stops while the display is
+  // paused from a remote or the tab is hidden, and the recording would never end
+  const start = frameTime();
+  const t0 = performance.now();
+  paint(start);
+  recorder.start(1000);
+  const timer = setInterval(() => {
+    const elapsed = (performance.now() - t0) / 1000;
+    paint(start + elapsed);
+    const done = Math.min(1, elapsed / seconds);
+    onProgress?.(done);
+    if (done >= 1 && recorder.state === "recording") recorder.stop();
+  }, 1000 / fps);
+
+  try {
+    await stopped;
+  } finally {
+    clearInterval(timer);
+    closeAll(covers);
+  }
+  const missing = wallTiles(wall).filter((t) => t.src && !covers.has(t.id)).length;
+  return { blob: new Blob(chunks, { type: type || "video/webm" }), missing, width: w, height: h };
+}
@@ -0,0 +1,75 @@
+// =====================
+// Demo: scripted listening session, generated covers, no network
+// =====================
+import { useMemo, useState } from "react";
+import DemoScriptPanel from "../components/DemoScriptPanel";
+import { createDemoSource, parseDemoScript, DEFAULT_DEMO_SCRIPT } from "../lib/demoSource";
+
+// =====================
+// 🔧 CONFIG
+// =====================
+// The drawer's poll interval starts at 5s and defaults to 30s; a demo wants
+// to move faster. ?poll=<ms> overrides.
+const DEMO_POLL_MS = 4000;
+
+/** RecentGrid source: createDemoSource options ({ script, seed, onStep, … }). */
+const demoFetcher = (credentials, options) => createDemoSource(options);
+
+// =====================
+// Display: ?script / ?seed / ?poll, restart
+// =====================
+function useDemoDisplay({ searchParams, setSearchParams }) {
+  const [current, setCurrent] = useState(null); // { index, step, count }
+  const [restarted, setRestarted] = useState(null); // { from, source } after Restart
+
+  const script = searchParams.get("script") || DEFAULT_DEMO_SCRIPT;
+  const seed = searchParams.get("seed") || "demo";
+  const pollMs = Number(searchParams.get("poll")) || DEMO_POLL_MS;
+
+  // A bad ?script= falls back to the default and says why
+  const { steps, error } = useMemo(() => {
+    try {
+      return { steps: parseDemoScript(script), error: "" };
+    } catch (err) {
+      return { steps: parseDemoScript(DEFAULT_DEMO_SCRIPT), error: err.message };
+    }
+  }, [script]);
+
+  // A new script or seed starts a new session; so does Restart
+  const initial = useMemo(() => demoFetcher(null, { script: steps, seed, onStep: setCurrent }), [steps, seed]);
+  const source = restarted?.from === initial ? restarted.source : initial;
+  const restart = () =>
+    setRestarted({ from: initial, source: demoFetcher(null, { script: steps, seed, onStep: setCurrent }) });
+
+  // Returns an error message for the panel, or nothing once the URL is updated
+  function applyScript(text) {
+    try {
+      parseDemoScript(text);
+    } catch (err) {
+      return err.message;
+    }
+    const next = new URLSearchParams(searchParams);
+    next.set("script", text);
+    setSearchParams(next, { replace: true });
+  }
+
+  return {
+    source,
+    pollMs,
+    account: `seed “${seed}”`,
+    controls: { steps, current, script, error, onApply: applyScript, onRestart: restart },
+  };
+}
+
+export default {
+  id: "demo",
+  name: "Demo",
+  description: "Scripted listening session with generated covers (no account, no network)",
+  homeLabel: "Try the Demo",
+  theme: { button: "bg-violet-600 hover:bg-violet-500", logo: "from-violet-400 to-fuchsia-600" },
+  auth: { type: "none" },
+  settings: [],
+  fetcher: demoFetcher,
+  useDisplay: useDemoDisplay,
+  Controls: DemoScriptPanel,
+};
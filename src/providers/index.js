@@ -0,0 +1,61 @@
+// =====================
+// Provider registry
+// =====================
+// Every service is one descriptor here; App builds its routes (/<id>) and
+// the home-page picker from PROVIDERS, and ProviderShell runs sign-in,
+// credential storage, errors and the grid for each. A descriptor:
+//
+//   id, name           route /<id>, status HUD, remote control
+//   description        subtitle on the connect screen
+//   homeLabel          home-page link; theme: { button, logo } Tailwind classes
+//   auth               { type, ... } (see below)
+//   settings           connect-form fields: [{ key, label, type?, placeholder?,
+//                      required?, normalize? }]; their values are the
+//                      credentials of "apiKey" / "token" providers
+//   fetcher            (credentials, options?) => RecentGrid source
+//   cacheKey?          (credentials) => RecentGrid cacheKey
+//   account?           (credentials) => label for the status HUD
+//   useDisplay?        hook ({ credentials, auth, searchParams, setSearchParams,
+//                      kiosk }) => { source, cacheKey?, hero?, account?,
+//                      pollMs?, controls? } for providers with more to manage
+//                      than fetcher(credentials); calls fetcher itself
+//   Controls?          component over the grid, given display.controls
+//   Connect?           extra sign-in UI, given { auth, values, setValues }
+//   release?           (credentials) => void when in-memory credentials go
+//   disconnectLabel?   HUD wording for Disconnect
+//
+// Auth types:
+//   pkce     OAuth code + PKCE: { clientId, authorizeUrl, tokenUrl, scopes,
+//            storageKey }; credentials are the token (lib/pkce.js)
+//   apiKey   an app key from the environment plus the settings fields
+//   token    a user-supplied token plus the settings fields
+//   none     no sign-in; credentials are {} or whatever Connect hands over
+// Each may add missingConfig() -> message (blocks connecting), setup({
+// redirectUri }) -> hint, restore(stored) -> credentials (old formats).
+import spotify from "./spotify";
+import plex from "./plex";
+import lastfm from "./lastfm";
+import local from "./local";
+import demo from "./demo";
+
+export const AUTH_TYPES = ["pkce", "apiKey", "token", "none"];
+
+/** Check a descriptor; throws an Error with code "bad-provider" saying what's wrong. */
+export function defineProvider(p) {
+  const fail = (why) => {
+    const err = new Error(`Bad provider "${p?.id}": ${why}`);
+    err.code = "bad-provider";
+    throw err;
+  };
+  if (!/^[a-z][a-z0-9-]*$/.test(p?.id || "")) fail("id must be a lowercase slug");
+  if (!p.name) fail("name is required");
+  if (!AUTH_TYPES.includes(p.auth?.type)) fail(`auth.type must be one of ${AUTH_TYPES.join(", ")}`);
+  if (p.auth.type !== "none" && !p.auth.storageKey) fail("auth.storageKey is required");
+  if (!Array.isArray(p.settings) || p.settings.some((f) => !f?.key || !f?.label)) fail("settings fields need a key and label");
+  if (typeof p.fetcher !== "function") fail("fetcher must be a function");
+  return { theme: {}, ...p };
+}
+
+export const PROVIDERS = [spotify, plex, lastfm, local, demo].map(defineProvider);
+
+export const providerById = (id) => PROVIDERS.find((p) => p.id === id) ?? null;
@@ -0,0 +1,129 @@
+// =====================
+// Last.fm: recent scrobbles for a username (app API key, no OAuth)
+// =====================
+import { recordPlays } from "../lib/history";
+import { retryAfterMs } from "../lib/retryAfter";
+
+// =====================
+// 🔧 CONFIG
+// =====================
+const API_KEY = import.meta.env.VITE_LASTFM_API_KEY;
+const API_ROOT = import.meta.env.VITE_LASTFM_API_URL || "https://ws.audioscrobbler.com/2.0/";
+
+// Last.fm serves this "blank star" image when an album has no art.
+const PLACEHOLDER_HASH = "2a96cbd8b46e442fc41c2b86b821562f";
+
+// https://www.last.fm/api/errorcodes — transient ones get a short backoff;
+// anything else (bad key, unknown user…) is thrown with Last.fm's message
+// so the page shows it instead of a rate-limit wait.
+const TRANSIENT_ERRORS = new Set([8, 11, 16, 29]);
+const TRANSIENT_RETRY_MS = 30_000;
+
+// Biggest usable image, skipping the placeholder star
+function pickImage(images) {
+  if (!Array.isArray(images)) return "";
+  for (let i = images.length - 1; i >= 0; i--) {
+    const url = images[i]?.["#text"] || "";
+    if (url && !url.includes(PLACEHOLDER_HASH)) return url;
+  }
+  return "";
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+// =====================
+// BYO data fetcher for RecentGrid
+// =====================
+function LastfmFetcher(username, { limit = 50, take = 6 } = {}) {
+  return async ({ take: want = take } = {}) => {
+    if (!username || !API_KEY) return { tiles: [] };
+
+    const params = new URLSearchParams({
+      method: "user.getrecenttracks",
+      user: username,
+      api_key: API_KEY,
+      format: "json",
+      limit: String(limit),
+    });
+    const res = await fetch(`${API_ROOT}?${params.toString()}`);
+
+    if (res.status === 429) {
+      return { tiles: [], retryMs: retryAfterMs(res, 30_000), reason: "rate-limit" };
+    }
+
+    // Errors come back as { error, message }, sometimes with a 200
+    const data = await res.json().catch(() => null);
+    if (data?.error) {
+      const code = Number(data.error);
+      if (TRANSIENT_ERRORS.has(code)) {
+        return { tiles: [], retryMs: TRANSIENT_RETRY_MS, reason: code === 29 ? "rate-limit" : "unavailable" };
+      }
+      const err = new Error(`Last.fm: ${data.message || `error ${code}`}`);
+      err.code = code;
+      throw err;
+    }
+    if (!res.ok) throw new Error(`recenttracks ${res.status}`);
+
+    const raw = data?.recenttracks?.track;
+    const items = Array.isArray(raw) ? raw : raw ? [raw] : [];
+
+    // now playing first, then newest -> oldest
+    const ordered = [
+      ...items.filter((t) => t?.["@attr"]?.nowplaying === "true"),
+      ...items.filter((t) => t?.["@attr"]?.nowplaying !== "true"),
+    ];
+
+    // one tile per scrobble; album id is the mbid when present, else artist + album name
+    const plays = [];
+    for (const t of ordered) {
+      const artist = t?.artist?.["#text"] ?? t?.artist?.name;
+      const album = t?.album?.["#text"];
+      const id = t?.album?.mbid || (album ? `${norm(artist)}|${norm(album)}` : "");
+      const src = pickImage(t?.image);
+      if (!id || !src) continue;
+      const nowPlaying = t?.["@attr"]?.nowplaying === "true";
+      plays.push({
+        id,
+        src,
+        album,
+        track: t?.name,
+        artists: artist ? [artist] : [],
+        playedAt: !nowPlaying && t?.date?.uts ? Number(t.date.uts) * 1000 : undefined,
+        nowPlaying,
+      });
+    }
+    recordPlays("lastfm", plays);
+
+    // dedupe by album
+    const seen = new Set();
+    const fresh = [];
+    for (const p of plays) {
+      if (seen.has(p.id)) continue;
+      seen.add(p.id);
+      fresh.push(p);
+      if (fresh.length >= want) break;
+    }
+
+    return { tiles: fresh };
+  };
+}
+
+export default {
+  id: "lastfm",
+  name: "Last.fm",
+  description: "Last.fm visualizer (public scrobbles, no OAuth)",
+  homeLabel: "Open Last.fm Visualizer",
+  theme: { button: "bg-red-600 hover:bg-red-500", logo: "from-red-500 to-rose-700" },
+  auth: {
+    type: "apiKey",
+    storageKey: "lastfm_user",
+    // stored as a bare username before providers had credentials objects
+    restore: (stored) => (typeof stored === "string" ? { username: stored } : stored),
+    missingConfig: () => (API_KEY ? "" : "Set `VITE_LASTFM_API_KEY` to your Last.fm API key."),
+  },
+  settings: [{ key: "username", label: "Last.fm username", type: "text", required: true }],
+  connectLabel: "Show scrobbles",
+  fetcher: ({ username }) => LastfmFetcher(username),
+  cacheKey: ({ username }) => `lastfm:${username}`,
+  account: ({ username }) => username,
+};
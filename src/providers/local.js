@@ -0,0 +1,22 @@
+// =====================
+// Local files: covers embedded in dropped audio files, no account
+// =====================
+import LocalDropZone from "../components/LocalDropZone";
+
+export default {
+  id: "local",
+  name: "Local files",
+  description: "Local files (MP3 / FLAC / M4A, nothing leaves your browser)",
+  homeLabel: "Use Local Music Files",
+  theme: { button: "bg-sky-600 hover:bg-sky-500", logo: "from-sky-400 to-indigo-600" },
+  auth: { type: "none" },
+  settings: [],
+  // a static array source: shown once, no polling
+  fetcher: ({ tiles }) => tiles,
+  // the covers are object URLs made from the files
+  release: ({ tiles }) => {
+    for (const t of tiles) URL.revokeObjectURL(t.src);
+  },
+  Connect: LocalDropZone,
+  disconnectLabel: "Choose other files",
+};
@@ -0,0 +1,21 @@
+// =====================
+// Plex: server URL + token (typed, or from the plex.tv PIN sign-in)
+// =====================
+import PlexPinLogin from "../components/PlexPinLogin";
+import { PlexFetcher, trimUrl } from "./plexApi";
+
+export default {
+  id: "plex",
+  name: "Plex",
+  description: "Plex visualizer (server URL + token, no backend)",
+  homeLabel: "Open Plex Visualizer",
+  theme: { button: "bg-amber-600 hover:bg-amber-500", logo: "from-amber-400 to-orange-600" },
+  auth: { type: "token", storageKey: "plex_connection" },
+  settings: [
+    { key: "serverUrl", label: "Server URL", type: "url", placeholder: "http://192.168.1.10:32400", required: true, normalize: trimUrl },
+    { key: "token", label: "X-Plex-Token", type: "password", required: true },
+  ],
+  fetcher: (conn) => PlexFetcher(conn),
+  cacheKey: () => "plex",
+  Connect: PlexPinLogin,
+};
@@ -0,0 +1,162 @@
+// =====================
+// Plex API: plex.tv PIN sign-in, server discovery, play history fetcher
+// =====================
+import { recordPlays } from "../lib/history";
+import { store } from "../lib/store";
+import { retryAfterMs } from "../lib/retryAfter";
+
+// =====================
+// 🔧 CONFIG
+// =====================
+// plex.tv is only used for the PIN sign-in + server discovery. Overridable so
+// the whole flow can be pointed at a local stub.
+const env = import.meta.env ?? {}; // undefined under Node's test runner
+const PLEX_TV = (env.VITE_PLEX_TV_URL || "https://plex.tv").replace(/\/+$/, "");
+const PLEX_AUTH_APP = "https://app.plex.tv/auth";
+const PRODUCT = "Album Art Visualizer";
+
+export const PIN_POLL_MS = 2000;
+export const PIN_TIMEOUT_MS = 5 * 60_000;
+
+// Stable per-browser id; Plex ties PINs and tokens to it.
+function clientIdentifier() {
+  let id = store.get("plex_client_id");
+  if (!id) {
+    id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    store.set("plex_client_id", id);
+  }
+  return id;
+}
+
+function plexHeaders(token) {
+  const h = {
+    Accept: "application/json",
+    "X-Plex-Product": PRODUCT,
+    "X-Plex-Client-Identifier": clientIdentifier(),
+  };
+  if (token) h["X-Plex-Token"] = token;
+  return h;
+}
+
+export const trimUrl = (u) => (u || "").trim().replace(/\/+$/, "");
+
+// =====================
+// plex.tv PIN flow
+// =====================
+export async function createPin() {
+  const res = await fetch(`${PLEX_TV}/api/v2/pins?strong=true`, {
+    method: "POST",
+    headers: plexHeaders(),
+  });
+  if (!res.ok) throw new Error(`PIN request failed: ${res.status}`);
+  return await res.json(); // { id, code, ... }
+}
+
+export async function checkPin(id) {
+  const res = await fetch(`${PLEX_TV}/api/v2/pins/${id}`, { headers: plexHeaders() });
+  if (!res.ok) throw new Error(`PIN check failed: ${res.status}`);
+  return await res.json(); // { authToken: string | null, ... }
+}
+
+// First server the account can reach; prefer a direct (non-relay) connection.
+export async function discoverServer(token) {
+  const res = await fetch(`${PLEX_TV}/api/v2/resources?includeHttps=1`, {
+    headers: plexHeaders(token),
+  });
+  if (!res.ok) throw new Error(`Server discovery failed: ${res.status}`);
+  const resources = await res.json();
+  const server = (Array.isArray(resources) ? resources : []).find((r) =>
+    String(r.provides || "").split(",").includes("server")
+  );
+  if (!server) return null;
+  const conns = Array.isArray(server.connections) ? server.connections : [];
+  const conn = conns.find((c) => !c.relay) || conns[0];
+  return conn ? { serverUrl: conn.uri, token: server.accessToken || token } : null;
+}
+
+export function authAppUrl(code) {
+  const params = new URLSearchParams({
+    clientID: clientIdentifier(),
+    code,
+    "context[device][product]": PRODUCT,
+  });
+  return `${PLEX_AUTH_APP}#?${params.toString()}`;
+}
+
+// =====================
+// BYO data fetcher for RecentGrid
+// =====================
+// Photo transcoder gives us a square, size-capped cover that carries the token.
+function transcodeUrl(serverUrl, token, thumb, size = 600) {
+  const params = new URLSearchParams({
+    width: String(size),
+    height: String(size),
+    minSize: "1",
+    upscale: "1",
+    url: thumb,
+    "X-Plex-Token": token,
+  });
+  return `${serverUrl}/photo/:/transcode?${params.toString()}`;
+}
+
+/**
+ * Recent plays from a Plex server's history as RecentGrid tiles.
+ * @param {{ serverUrl: string, token: string }} conn  any server, e.g. a local stub in tests
+ * @param {object} [opts]
+ * @param {number} [opts.limit]  history entries per request
+ * @param {number} [opts.take]   default tile count
+ * @param {typeof fetch} [opts.fetchImpl]
+ */
+export function PlexFetcher(conn, { limit = 50, take = 6, fetchImpl = (...args) => fetch(...args) } = {}) {
+  return async ({ take: want = take } = {}) => {
+    if (!conn?.serverUrl || !conn?.token) return { tiles: [] };
+
+    const params = new URLSearchParams({
+      sort: "viewedAt:desc",
+      "X-Plex-Container-Start": "0",
+      "X-Plex-Container-Size": String(limit),
+    });
+    const res = await fetchImpl(
+      `${conn.serverUrl}/status/sessions/history/all?${params.toString()}`,
+      { headers: plexHeaders(conn.token) }
+    );
+
+    if (res.status === 429 || res.status === 503) {
+      return { tiles: [], retryMs: retryAfterMs(res, 15_000), reason: res.status === 429 ? "rate-limit" : "unavailable" };
+    }
+    if (!res.ok) throw new Error(`history ${res.status}`);
+
+    const data = await res.json();
+    const items = Array.isArray(data?.MediaContainer?.Metadata) ? data.MediaContainer.Metadata : [];
+
+    // newest -> oldest, music only, one tile per play
+    const plays = [];
+    for (const it of items) {
+      if (it?.type !== "track") continue;
+      const id = it.parentRatingKey || it.parentKey || it.parentTitle;
+      const thumb = it.parentThumb || it.thumb;
+      if (!id || !thumb) continue;
+      plays.push({
+        id: String(id),
+        src: transcodeUrl(conn.serverUrl, conn.token, thumb),
+        album: it.parentTitle,
+        track: it.title,
+        artists: it.grandparentTitle ? [it.grandparentTitle] : [],
+        playedAt: it.viewedAt ? it.viewedAt * 1000 : undefined,
+      });
+    }
+    recordPlays("plex", plays);
+
+    // dedupe by album
+    const seen = new Set();
+    const fresh = [];
+    for (const p of plays) {
+      if (seen.has(p.id)) continue;
+      seen.add(p.id);
+      fresh.push(p);
+      if (fresh.length >= want) break;
+    }
+
+    return { tiles: fresh };
+  };
+}
@@ -0,0 +1,113 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { PlexFetcher } from "./plexApi";
+
+// =====================
+// Local stub Plex server: /status/sessions/history/all answers from a queue
+// =====================
+const replies = []; // [[status, body?, headers?], …]; the last one repeats
+const requests = []; // { url, token }
+let server;
+let serverUrl;
+
+before(async () => {
+  // plexHeaders() keeps the client id in localStorage
+  const data = new Map();
+  globalThis.localStorage = {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, token: req.headers["x-plex-token"] });
+    const [status, body, headers = {}] = replies.length > 1 ? replies.shift() : replies[0] ?? [404];
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete globalThis.localStorage;
+  return new Promise((resolve) => server.close(resolve));
+});
+
+function reply(...queue) {
+  replies.length = 0;
+  requests.length = 0;
+  replies.push(...queue);
+}
+
+const history = (...items) => [200, { MediaContainer: { Metadata: items } }];
+const track = (albumKey, title, viewedAt, extra = {}) => ({
+  type: "track",
+  parentRatingKey: albumKey,
+  parentTitle: `Album ${albumKey}`,
+  grandparentTitle: "Artist",
+  title,
+  parentThumb: `/library/metadata/${albumKey}/thumb/1`,
+  viewedAt,
+  ...extra,
+});
+
+const fetcher = (opts) => PlexFetcher({ serverUrl, token: "secret" }, opts);
+
+test("history entries become tiles with a tokened transcoder cover", async () => {
+  reply(history(track(7, "Song", 1_700_000_000), { type: "episode", parentRatingKey: 9, parentThumb: "/x" }, track(8, "No art", 1, { parentThumb: "" })));
+  const { tiles, retryMs } = await fetcher()({ take: 6 });
+  assert.equal(retryMs, undefined);
+  assert.equal(tiles.length, 1);
+  const [t] = tiles;
+  assert.equal(t.id, "7");
+  assert.equal(t.album, "Album 7");
+  assert.equal(t.track, "Song");
+  assert.deepEqual(t.artists, ["Artist"]);
+  assert.equal(t.playedAt, 1_700_000_000_000);
+  const src = new URL(t.src);
+  assert.equal(src.origin, serverUrl);
+  assert.equal(src.pathname, "/photo/:/transcode");
+  assert.equal(src.searchParams.get("url"), "/library/metadata/7/thumb/1");
+  assert.equal(src.searchParams.get("X-Plex-Token"), "secret");
+
+  assert.equal(requests[0].token, "secret");
+  const url = new URL(requests[0].url, serverUrl);
+  assert.equal(url.pathname, "/status/sessions/history/all");
+  assert.equal(url.searchParams.get("sort"), "viewedAt:desc");
+  assert.equal(url.searchParams.get("X-Plex-Container-Size"), "50");
+});
+
+test("plays of the same album collapse to the newest, up to take", async () => {
+  reply(history(track(1, "a", 50), track(1, "b", 40), track(2, "c", 30), track(3, "d", 20), track(2, "e", 10)));
+  const { tiles } = await fetcher()({ take: 2 });
+  assert.deepEqual(tiles.map((t) => [t.id, t.track]), [["1", "a"], ["2", "c"]]);
+  const all = await fetcher()({ take: 6 });
+  assert.deepEqual(all.tiles.map((t) => t.id), ["1", "2", "3"]);
+});
+
+test("429 and 503 hand Retry-After back as retryMs", async () => {
+  reply([429, undefined, { "Retry-After": "40" }]);
+  assert.deepEqual(await fetcher()(), { tiles: [], retryMs: 40_000, reason: "rate-limit" });
+  reply([503]);
+  assert.deepEqual(await fetcher()(), { tiles: [], retryMs: 15_000, reason: "unavailable" });
+  reply([503, undefined, { "Retry-After": "not a date" }]);
+  assert.deepEqual(await fetcher()(), { tiles: [], retryMs: 15_000, reason: "unavailable" });
+});
+
+test("other failures throw with the status", async () => {
+  reply([500]);
+  await assert.rejects(fetcher()(), /history 500/);
+});
+
+test("fetch is injectable", async () => {
+  let seen = null;
+  const fetchImpl = async (url, init) => {
+    seen = { url, token: init.headers["X-Plex-Token"] };
+    return new Response(JSON.stringify({ MediaContainer: { Metadata: [track(5, "x", 1)] } }), { status: 200 });
+  };
+  const { tiles } = await PlexFetcher({ serverUrl: "http://plex.invalid", token: "t" }, { fetchImpl })();
+  assert.equal(tiles[0].id, "5");
+  assert.match(seen.url, /^http:\/\/plex\.invalid\/status\/sessions\/history\/all\?/);
+  assert.equal(seen.token, "t");
+});
@@ -0,0 +1,121 @@
+// =====================
+// Spotify: PKCE sign-in, several grid modes, now-playing hero
+// =====================
+import { useEffect, useMemo, useState } from "react";
+import SpotifyModePicker from "../components/SpotifyModePicker";
+import { createSpotifyClient } from "../lib/spotifyClient";
+import { hasScopes } from "../lib/pkce";
+import { store } from "../lib/store";
+import { useNowPlaying } from "../lib/useNowPlaying";
+import { MODES, modeById, parsePlaylistId, getPaged, NowPlayingFetcher, IDLE_MS } from "./spotifyModes";
+
+// =====================
+// 🔧 CONFIG
+// =====================
+const CLIENT_ID = import.meta.env.VITE_SPOTIFY_CLIENT_ID;
+
+// Web API base; overridable to run against a local stub
+const API_BASE = import.meta.env.VITE_SPOTIFY_API_URL || undefined;
+
+// Always requested; modes ask for more only when they're picked
+const SCOPES = [
+  "user-read-currently-playing",
+  "user-read-playback-state",
+  "user-read-recently-played",
+];
+
+/** RecentGrid source for a mode ("recent", "top-short", …, "playlist"). */
+const spotifyFetcher = (client, { mode, playlistId } = {}) => modeById(mode).fetcher(client, { playlistId });
+
+// =====================
+// Display: API client, mode, playlists, hero
+// =====================
+function useSpotifyDisplay({ credentials: token, auth, searchParams, kiosk }) {
+  const { setError } = auth;
+
+  // One client for the page; the auth hook keeps its token fresh
+  const [client] = useState(() =>
+    createSpotifyClient({ baseUrl: API_BASE, getToken: auth.getToken, refresh: auth.refresh })
+  );
+
+  const [profile, setProfile] = useState(null);
+  useEffect(() => {
+    (async () => {
+      if (!token?.access_token) return;
+      try { setProfile(await client.get("/me")); }
+      catch (e) { setError(e.message); }
+    })();
+  }, [client, token?.access_token, setError]);
+
+  // What to show: ?mode=top-short&playlist=<id> wins over the last choice
+  const [view, setView] = useState(() => {
+    const saved = store.get("spotify_mode") || {};
+    return {
+      mode: modeById(searchParams.get("mode") ?? saved.mode).id,
+      playlist: parsePlaylistId(searchParams.get("playlist")) ?? saved.playlist ?? "",
+    };
+  });
+  const changeView = (next) => {
+    store.set("spotify_mode", next);
+    setView(next);
+  };
+  const mode = modeById(view.mode);
+  const modeReady = hasScopes(token, mode.scopes);
+  // Until the extra scopes are granted, keep showing recently-played
+  const active = modeReady ? mode : MODES[0];
+  const source = useMemo(
+    () => spotifyFetcher(client, { mode: active.id, playlistId: view.playlist }),
+    [client, active, view.playlist]
+  );
+
+  // The user's playlists for the picker
+  const [playlists, setPlaylists] = useState([]);
+  useEffect(() => {
+    if (active.id !== "playlist" || !token?.access_token) return;
+    let stop = false;
+    getPaged(client, "/me/playlists?limit=50", { maxPages: 4 })
+      .then(({ items }) => !stop && setPlaylists(items.filter((pl) => pl?.id).map((pl) => ({ id: pl.id, name: pl.name }))))
+      .catch(() => {}); // the paste box still works
+    return () => { stop = true; };
+  }, [client, active, token?.access_token]);
+
+  const nowPlayingSource = useMemo(() => NowPlayingFetcher(client), [client]);
+  const { tile: hero } = useNowPlaying(nowPlayingSource, { idleMs: kiosk.pollMs(IDLE_MS) });
+
+  return {
+    source,
+    hero,
+    cacheKey: active.id === "playlist" ? `spotify:playlist:${view.playlist}` : `spotify:${active.id}`,
+    account: profile?.display_name,
+    controls: {
+      view,
+      onChange: changeView,
+      playlists,
+      ready: modeReady,
+      onGrant: () => auth.login(mode.scopes),
+    },
+  };
+}
+
+export default {
+  id: "spotify",
+  name: "Spotify",
+  description: "Spotify visualizer (PKCE, no backend)",
+  homeLabel: "Open Spotify Visualizer",
+  theme: { button: "bg-emerald-600 hover:bg-emerald-500", logo: "from-pink-500 to-purple-500" },
+  auth: {
+    type: "pkce",
+    clientId: CLIENT_ID,
+    authorizeUrl: "https://accounts.spotify.com/authorize",
+    tokenUrl: "https://accounts.spotify.com/api/token",
+    scopes: SCOPES,
+    storageKey: "spotify_token",
+    missingConfig: () => (CLIENT_ID ? "" : "No Spotify client ID is configured."),
+    setup: ({ redirectUri }) =>
+      `Set \`VITE_SPOTIFY_CLIENT_ID\` and add \`${redirectUri}\` to your Spotify app’s Redirect URIs.`,
+  },
+  settings: [],
+  fetcher: spotifyFetcher,
+  useDisplay: useSpotifyDisplay,
+  Controls: SpotifyModePicker,
+};
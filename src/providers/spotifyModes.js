@@ -0,0 +1,199 @@
+// =====================
+// Spotify fetchers and grid modes
+// =====================
+// RecentGrid sources over the Web API client (../lib/spotifyClient), one per
+// mode, plus the now-playing fetcher behind the hero tunnel.
+import { recordPlays } from "../lib/history";
+
+// Client errors that say "wait this long" become RecentGrid backoff
+async function getOrBackoff(client, path) {
+  try {
+    return { data: await client.get(path) };
+  } catch (e) {
+    if (e.retryMs != null) return { retryMs: e.retryMs };
+    throw e;
+  }
+}
+
+// Follow `next` links (absolute URLs) through a paged endpoint until
+// `enough(items)` or maxPages; backoff from any page is returned as-is.
+export async function getPaged(client, path, { enough = () => false, maxPages = 10 } = {}) {
+  const items = [];
+  let next = path;
+  for (let page = 0; next && page < maxPages; page++) {
+    const { data, retryMs } = await getOrBackoff(client, next);
+    if (retryMs != null) return { items, retryMs };
+    items.push(...(Array.isArray(data?.items) ? data.items : []));
+    if (enough(items)) break;
+    next = data?.next ? data.next.replace(/^https?:\/\/[^/]+\/v1/, "") : null;
+  }
+  return { items };
+}
+
+// Track (or album) -> album tile; null for local files / missing art
+function albumTile(album, extra = {}) {
+  const id = album?.id || album?.name;
+  const src = album?.images?.[0]?.url || "";
+  if (!id || !src) return null;
+  return { id, src, album: album.name, artists: (album.artists || []).map((x) => x.name), ...extra };
+}
+
+const trackTile = (track, extra = {}) =>
+  track?.type === "episode"
+    ? null
+    : albumTile(track?.album, { track: track?.name, artists: (track?.artists || []).map((x) => x.name), ...extra });
+
+// First tile per album, in order
+function uniqueAlbums(tiles, want) {
+  const seen = new Set();
+  const out = [];
+  for (const t of tiles) {
+    if (!t || seen.has(t.id)) continue;
+    seen.add(t.id);
+    out.push(t);
+    if (out.length >= want) break;
+  }
+  return out;
+}
+
+const countAlbums = (items, pick) => new Set(items.map((it) => pick(it)?.id).filter(Boolean)).size;
+
+function RecentlyPlayedFetcher(client, { limit = 50, take = 6 } = {}) {
+  return async ({ take: want = take } = {}) => {
+    const { data, retryMs } = await getOrBackoff(client, `/me/player/recently-played?limit=${limit}`);
+    if (retryMs != null) return { tiles: [], retryMs };
+
+    const items = Array.isArray(data?.items) ? data.items : [];
+    const plays = items.map((it) => trackTile(it?.track, { playedAt: it.played_at }));
+    recordPlays("spotify", plays.filter(Boolean));
+    // newest -> oldest, dedupe by album id
+    return { tiles: uniqueAlbums(plays, want) };
+  };
+}
+
+// Top tracks rolled up to albums: an album scores for every top track it
+// holds, weighted by rank, so an album with several favourites beats a single
+function TopAlbumsFetcher(client, { timeRange = "medium_term", take = 6 } = {}) {
+  return async ({ take: want = take } = {}) => {
+    // the endpoint stops at 50 per page and ~100 overall
+    const { items, retryMs } = await getPaged(client, `/me/top/tracks?time_range=${timeRange}&limit=50`, {
+      maxPages: 2,
+    });
+    if (retryMs != null && !items.length) return { tiles: [], retryMs };
+
+    const byAlbum = new Map(); // id -> { tile, score }
+    items.forEach((track, rank) => {
+      const tile = trackTile(track);
+      if (!tile) return;
+      const entry = byAlbum.get(tile.id) ?? { tile, score: 0 };
+      entry.score += items.length - rank;
+      byAlbum.set(tile.id, entry);
+    });
+    const tiles = [...byAlbum.values()].sort((a, b) => b.score - a.score).map((e) => e.tile);
+    return { tiles: tiles.slice(0, want), retryMs: retryMs ?? undefined };
+  };
+}
+
+function PlaylistFetcher(client, { playlistId, take = 6 } = {}) {
+  const fields = "items(track(type,name,artists(name),album(id,name,images,artists(name)))),next";
+  return async ({ take: want = take } = {}) => {
+    if (!playlistId) return { tiles: [] };
+    const pick = (it) => trackTile(it?.track);
+    const { items, retryMs } = await getPaged(
+      client,
+      `/playlists/${encodeURIComponent(playlistId)}/tracks?limit=100&fields=${encodeURIComponent(fields)}`,
+      { enough: (all) => countAlbums(all, pick) >= want, maxPages: 20 }
+    );
+    if (retryMs != null && !items.length) return { tiles: [], retryMs };
+    return { tiles: uniqueAlbums(items.map(pick), want), retryMs: retryMs ?? undefined };
+  };
+}
+
+function SavedAlbumsFetcher(client, { take = 6 } = {}) {
+  return async ({ take: want = take } = {}) => {
+    const { items, retryMs } = await getPaged(client, "/me/albums?limit=50", {
+      enough: (all) => all.length >= want,
+      maxPages: 5,
+    });
+    if (retryMs != null && !items.length) return { tiles: [], retryMs };
+    // newest saves first, as the API returns them
+    return { tiles: uniqueAlbums(items.map((it) => albumTile(it?.album)), want), retryMs: retryMs ?? undefined };
+  };
+}
+
+// The client only hands back a wait for a 429, so every wait is a rate limit
+const rateLimited = (fetcher) => async (opts) => {
+  const result = await fetcher(opts);
+  return result?.retryMs != null ? { ...result, reason: "rate-limit" } : result;
+};
+
+// =====================
+// Modes (what the grid shows)
+// =====================
+export const MODES = [
+  { id: "recent", label: "Recently played", scopes: [], fetcher: (client) => rateLimited(RecentlyPlayedFetcher(client)) },
+  { id: "top-short", label: "Top albums · 4 weeks", scopes: ["user-top-read"], fetcher: (client) => rateLimited(TopAlbumsFetcher(client, { timeRange: "short_term" })) },
+  { id: "top-medium", label: "Top albums · 6 months", scopes: ["user-top-read"], fetcher: (client) => rateLimited(TopAlbumsFetcher(client, { timeRange: "medium_term" })) },
+  { id: "top-long", label: "Top albums · all time", scopes: ["user-top-read"], fetcher: (client) => rateLimited(TopAlbumsFetcher(client, { timeRange: "long_term" })) },
+  { id: "saved", label: "Saved albums", scopes: ["user-library-read"], fetcher: (client) => rateLimited(SavedAlbumsFetcher(client)) },
+  {
+    id: "playlist",
+    label: "Playlist",
+    scopes: ["playlist-read-private", "playlist-read-collaborative"],
+    fetcher: (client, { playlistId }) => rateLimited(PlaylistFetcher(client, { playlistId })),
+  },
+];
+export const modeById = (id) => MODES.find((m) => m.id === id) ?? MODES[0];
+
+// "37i9dQZF1DXcBWIGoYBM5M", ".../playlist/<id>?si=…" or "spotify:playlist:<id>"
+export function parsePlaylistId(value) {
+  const v = (value || "").trim();
+  const m = /playlist[/:]([A-Za-z0-9]+)/.exec(v);
+  if (m) return m[1];
+  return /^[A-Za-z0-9]+$/.test(v) ? v : null;
+}
+
+// =====================
+// Now-playing fetcher for the hero tunnel
+// =====================
+// Poll cadence follows playback: quick while playing (catch track changes),
+// slower when paused, slowest when nothing is playing at all.
+const NOW_PLAYING_MS = 5000;
+const PAUSED_MS = 20000;
+export const IDLE_MS = 30000;
+
+export function NowPlayingFetcher(client) {
+  return async () => {
+    const { data, retryMs: backoffMs } = await getOrBackoff(
+      client,
+      "/me/player/currently-playing?additional_types=track,episode"
+    );
+    // rate limited: no news, so the hero keeps whatever it showed
+    if (backoffMs != null) return { retryMs: backoffMs };
+
+    // null (204): no active device / nothing playing
+    if (!data) return { tile: null, playing: false, retryMs: IDLE_MS };
+
+    const item = data?.item;
+    const playing = !!data?.is_playing;
+    const retryMs = playing ? NOW_PLAYING_MS : PAUSED_MS;
+
+    // Tracks use album art; podcast episodes use the show artwork
+    let id = null;
+    let src = "";
+    let meta = {};
+    if (item?.type === "track") {
+      id = item.album?.id || item.album?.name;
+      src = item.album?.images?.[0]?.url || "";
+      meta = { album: item.album?.name, track: item.name, artists: (item.artists || []).map((x) => x.name) };
+    } else if (item?.type === "episode") {
+      id = item.show?.id || item.id;
+      src = item.show?.images?.[0]?.url || item.images?.[0]?.url || "";
+      meta = { album: item.show?.name, track: item.name, artists: item.show?.publisher ? [item.show.publisher] : [] };
+    }
+
+    // ads / unknown items: keep polling but show no hero
+    if (!id || !src) return { tile: null, playing, retryMs };
+    return { tile: { id, src, ...meta, nowPlaying: playing }, playing, retryMs };
+  };
+}
@@ -0,0 +1,31 @@
+// =====================
+// Palette extraction worker
+// =====================
+// { id, src } in -> { id, palette } or { id, error } out.
+// Fetches and decodes the cover itself so the main thread never touches pixels.
+import { paletteFromPixels } from "../lib/colors";
+
+const SAMPLE = 32;
+
+async function extract(src) {
+  const res = await fetch(src, { mode: "cors" });
+  if (!res.ok) throw new Error(`image ${res.status}`);
+  const bitmap = await createImageBitmap(await res.blob(), {
+    resizeWidth: SAMPLE,
+    resizeHeight: SAMPLE,
+    resizeQuality: "low",
+  });
+  const canvas = new OffscreenCanvas(SAMPLE, SAMPLE);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, SAMPLE, SAMPLE);
+  bitmap.close();
+  return paletteFromPixels(ctx.getImageData(0, 0, SAMPLE, SAMPLE).data);
+}
+
+self.onmessage = async ({ data: { id, src } }) => {
+  try {
+    self.postMessage({ id, palette: await extract(src) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
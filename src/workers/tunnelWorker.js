@@ -0,0 +1,53 @@
+// =====================
+// OffscreenCanvas tunnel worker
+// =====================
+// Owns every offscreen tunnel canvas on the page. The main thread's shared
+// frame clock posts one { type: "frame", t, drive, bias } per tick (drive:
+// the audio offsets, see lib/audioInput; bias: the live parallax, see
+// lib/parallax); each tunnel redraws only if it is animating or following
+// the parallax.
+import { drawTunnel, tunnelPose, tunnelOffsets, STATIC_POSE, NO_DRIVE, NO_BIAS } from "../lib/tunnel";
+
+const tunnels = new Map(); // id -> { canvas, ctx, image, props }
+let lastT = 0;
+let drive = NO_DRIVE;
+let bias = NO_BIAS;
+
+function draw(tunnel, t) {
+  const { canvas, ctx, image, props } = tunnel;
+  if (!props) return;
+  if (canvas.width !== props.width) canvas.width = props.width;
+  if (canvas.height !== props.height) canvas.height = props.height;
+  const pose = props.moving ? tunnelPose(t, props, drive) : STATIC_POSE;
+  drawTunnel(ctx, image, { ...props, ...tunnelOffsets(props, props.parallax ? bias : NO_BIAS), pose });
+}
+
+self.onmessage = ({ data }) => {
+  const tunnel = tunnels.get(data.id);
+  switch (data.type) {
+    case "add":
+      tunnels.set(data.id, { canvas: data.canvas, ctx: data.canvas.getContext("2d"), image: null, props: null });
+      break;
+    case "image":
+      if (!tunnel) return;
+      tunnel.image?.close?.();
+      tunnel.image = data.bitmap;
+      draw(tunnel, lastT);
+      break;
+    case "props":
+      if (!tunnel) return;
+      tunnel.props = data.props;
+      draw(tunnel, lastT);
+      break;
+    case "frame":
+      lastT = data.t;
+      drive = data.drive ?? NO_DRIVE;
+      bias = data.bias ?? NO_BIAS;
+      for (const tn of tunnels.values()) if (tn.props?.moving || tn.props?.parallax) draw(tn, lastT);
+      break;
+    case "remove":
+      tunnel?.image?.close?.();
+      tunnels.delete(data.id);
+      break;
+  }
+};